@@ -0,0 +1,117 @@
+// check-swap-math.js
+// Sanity checks for the quote and depth math in src/utils/swapMath.js (no RPC needed)
+
+const assert = require('assert');
+const {
+  tickToSqrtPrice,
+  getV2AmountOut,
+  getStableAmountOut,
+  simulateV3Swap,
+  getV3AmountsToPrice
+} = require('./src/utils/swapMath');
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// Floating point V3 math on raw amounts: compare relative to the expected value
+const assertClose = (actual, expected, message, tolerance = 1e-9) => {
+  const error = Math.abs(actual - expected) / Math.max(Math.abs(expected), 1);
+  assert.ok(error <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+};
+
+// ==================== V2 ====================
+
+check('getV2AmountOut matches the pair contract', () => {
+  // amountOut = amountIn * (10000 - fee) * reserveOut / (reserveIn * 10000 + amountIn * (10000 - fee))
+  assert.strictEqual(getV2AmountOut(1000n, 10n ** 6n, 10n ** 6n, 30), 996n);
+  assert.strictEqual(getV2AmountOut(10n ** 18n, 10n ** 22n, 5n * 10n ** 21n, 25), 498700254649598702n);
+  assert.strictEqual(getV2AmountOut(0n, 10n ** 6n, 10n ** 6n, 30), 0n);
+  assert.strictEqual(getV2AmountOut(1000n, 0n, 10n ** 6n, 30), 0n);
+});
+
+// ==================== STABLE CURVE ====================
+
+check('getStableAmountOut keeps x³y + y³x and stays near 1:1', () => {
+  // 1M USDC (6 decimals) / 1M DAI (18 decimals), 1000 USDC in at 5 bps
+  const out = getStableAmountOut(1000n * 10n ** 6n, 10n ** 12n, 10n ** 24n, 6, 18, 5);
+  assert.ok(out > 999n * 10n ** 18n && out < 1000n * 10n ** 18n, `unexpected output ${out}`);
+
+  // Half the pool in: far below 1:1, but above the constant product output
+  const large = getStableAmountOut(500000n * 10n ** 6n, 10n ** 12n, 10n ** 24n, 6, 18, 0);
+  const constantProduct = getV2AmountOut(500000n * 10n ** 18n, 10n ** 24n, 10n ** 24n, 0);
+  assert.ok(large < 500000n * 10n ** 18n && large > constantProduct, `unexpected output ${large}`);
+});
+
+// ==================== V3 ====================
+
+// Positions [-200, 200] with L = 1e18 and [-100, 100] with L = 5e17, price at tick 0
+const L_OUTER = 1e18;
+const L_INNER = 5e17;
+const v3State = {
+  sqrtPriceX96: (2n ** 96n).toString(),
+  liquidity: String(L_OUTER + L_INNER),
+  fee: 0,
+  ticks: [
+    { tick: -200, liquidityNet: String(L_OUTER) },
+    { tick: -100, liquidityNet: String(L_INNER) },
+    { tick: 100, liquidityNet: String(-L_INNER) },
+    { tick: 200, liquidityNet: String(-L_OUTER) }
+  ]
+};
+const s100 = tickToSqrtPrice(-100);
+const s150 = tickToSqrtPrice(-150);
+const s200 = tickToSqrtPrice(-200);
+
+check('simulateV3Swap crosses an initialized tick', () => {
+  // token0 in down to tick -150: full liquidity to -100, then the outer position only
+  const amountIn = (L_OUTER + L_INNER) * (1 / s100 - 1) + L_OUTER * (1 / s150 - 1 / s100);
+  const expectedOut = (L_OUTER + L_INNER) * (1 - s100) + L_OUTER * (s100 - s150);
+
+  const result = simulateV3Swap(v3State, true, amountIn);
+  assert.strictEqual(result.ticksCrossed, 1);
+  assert.strictEqual(result.exhausted, false);
+  assertClose(result.amountOut, expectedOut, 'amountOut');
+  assertClose(result.sqrtPriceX96After / 2 ** 96, s150, 'price after');
+});
+
+check('simulateV3Swap reports an order larger than the known ticks as exhausted', () => {
+  // Below tick -200 no liquidity is known: only the amount down to it is filled
+  const maxOut = (L_OUTER + L_INNER) * (1 - s100) + L_OUTER * (s100 - s200);
+
+  const result = simulateV3Swap(v3State, true, 1e21);
+  assert.strictEqual(result.exhausted, true);
+  assert.strictEqual(result.ticksCrossed, 2);
+  assertClose(result.amountOut, maxOut, 'amountOut');
+});
+
+check('simulateV3Swap applies the fee to the input', () => {
+  const amountIn = 1e15;
+  const withFee = simulateV3Swap({ ...v3State, fee: 3000 }, false, amountIn);
+  const withoutFee = simulateV3Swap(v3State, false, amountIn * 0.997);
+  assertClose(withFee.amountOut, withoutFee.amountOut, 'amountOut');
+});
+
+check('getV3AmountsToPrice matches the swap that reaches the same price', () => {
+  const { amount0, amount1, ticksCrossed } = getV3AmountsToPrice(v3State, s150);
+  assert.strictEqual(ticksCrossed, 1);
+
+  const result = simulateV3Swap(v3State, true, amount0);
+  assertClose(result.amountOut, amount1, 'amount1');
+  assertClose(result.sqrtPriceX96After / 2 ** 96, s150, 'price after');
+});
+
+// ==================== RUN ====================
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log(`\n${checks.length - failed}/${checks.length} swap math checks passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,147 @@
+// src/adapters/aerodromeV2.js
+// Aerodrome V2 (volatile/stable pairs with a UniswapV2-style Swap event)
+
+const { ethers } = require('ethers');
+const { getV2AmountOut, getStableAmountOut } = require('../utils/swapMath');
+
+const ABI = [
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Sync(uint256 reserve0, uint256 reserve1)',
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed sender, address indexed to, uint256 amount0, uint256 amount1)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function stable() view returns (bool)',
+  'function factory() view returns (address)'
+];
+
+// Fees are set per pool in the factory (basis points); these are its defaults
+const FACTORY_ABI = ['function getFee(address pool, bool stable) view returns (uint256)'];
+const DEFAULT_FEE_BPS = { stable: 5, volatile: 30 };
+
+module.exports = {
+  type: 'AERODROME_V2',
+  protocol: 'aerodromev2',
+  name: 'Aerodrome V2',
+  dex: 'aerodrome',
+  version: 2,
+
+  async loadPool(poolConfig, tokenAddress, ctx) {
+    const poolContract = new ethers.Contract(poolConfig.address, ABI, ctx.reader);
+
+    const [reserves, token0, token1, stable, factory] = await Promise.all([
+      poolContract.getReserves(),
+      poolContract.token0(),
+      poolContract.token1(),
+      poolContract.stable(),
+      poolContract.factory()
+    ]);
+
+    // CRITICAL: Validate that the token is actually in this pool
+    const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    const isToken1 = token1.toLowerCase() === tokenAddress.toLowerCase();
+    if (!isToken0 && !isToken1) {
+      throw new Error(`Token ${tokenAddress} not found in pool. Pool contains ${token0} and ${token1}`);
+    }
+
+    const [decimals0, decimals1, feeBps] = await Promise.all([
+      ctx.getTokenDecimals(token0),
+      ctx.getTokenDecimals(token1),
+      new ethers.Contract(factory, FACTORY_ABI, ctx.reader).getFee(poolConfig.address, stable)
+        .then(Number)
+        .catch(() => DEFAULT_FEE_BPS[stable ? 'stable' : 'volatile'])
+    ]);
+
+    return {
+      address: poolConfig.address,
+      type: 'AERODROME_V2',
+      token0: token0.toLowerCase(),
+      token1: token1.toLowerCase(),
+      decimals0,
+      decimals1,
+      reserve0: reserves[0],
+      reserve1: reserves[1],
+      stable,
+      // Not in the DEX registry - getV2FeeBps reads it from the pool
+      feeBps: poolConfig.feeBps ?? feeBps,
+      hasLiquidity: reserves[0] > 0n && reserves[1] > 0n,
+      config: poolConfig
+    };
+  },
+
+  subscribe(pool, onSwap, ctx) {
+    const poolContract = new ethers.Contract(pool.address, ABI, ctx.events);
+
+    poolContract.on('Swap', (sender, amount0In, amount1In, amount0Out, amount1Out, to, event) => {
+      onSwap({ sender, amount0In, amount1In, amount0Out, amount1Out, to, event });
+    });
+
+    // Every swap and liquidity change emits Sync with the new reserves
+    poolContract.on('Sync', (reserve0, reserve1, event) => {
+      // Reserves of a dropped block are stale - the pool state is reloaded
+      if (event.log?.removed) return;
+      pool.reserve0 = reserve0;
+      pool.reserve1 = reserve1;
+    });
+
+    poolContract.on('Mint', (sender, amount0, amount1, event) => {
+      if (event.log?.removed) return;
+      ctx.emitLiquidityEvent(pool, { type: 'add', amount0, amount1, owner: sender, event });
+    });
+
+    poolContract.on('Burn', (sender, to, amount0, amount1, event) => {
+      if (event.log?.removed) return;
+      ctx.emitLiquidityEvent(pool, { type: 'remove', amount0, amount1, owner: to, event });
+    });
+
+    return poolContract;
+  },
+
+  decodeSwap(raw, pool, tokenAddress, ctx) {
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    const swapInfo = ctx.parseV2SwapInfo(
+      raw.amount0In, raw.amount1In, raw.amount0Out, raw.amount1Out,
+      isToken0, pool.decimals0, pool.decimals1, pool.config, ctx.getV2FeeBps(pool)
+    );
+
+    return { ...swapInfo, sender: raw.sender, recipient: raw.to, event: raw.event };
+  },
+
+  spotPrice(pool, tokenAddress, ctx) {
+    return ctx.calculateV2Price(tokenAddress, pool);
+  },
+
+  liquidityUSD(pool, tokenAddress, priceUSD, priceInPair, ctx) {
+    return ctx.getV2LiquidityUSD(pool, tokenAddress, priceUSD, priceInPair);
+  },
+
+  depth(pool, ctx) {
+    // Stable pools trade on x³y + y³x, flatter than the constant product curve
+    return { ...ctx.getV2DepthState(pool), approximate: Boolean(pool.stable) };
+  },
+
+  quote(pool, { zeroForOne, amountInRaw, decimalsIn, decimalsOut }, ctx) {
+    const feeBps = ctx.getV2FeeBps(pool);
+    const reserveIn = BigInt(zeroForOne ? pool.reserve0 : pool.reserve1);
+    const reserveOut = BigInt(zeroForOne ? pool.reserve1 : pool.reserve0);
+
+    if (pool.stable) {
+      // Spot rate from a 1-unit trade without the fee (the curve has no closed-form price)
+      const unitIn = 10n ** BigInt(decimalsIn);
+      const unitOut = getStableAmountOut(unitIn, reserveIn, reserveOut, decimalsIn, decimalsOut, 0);
+      return {
+        amountOutValue: Number(ethers.formatUnits(getStableAmountOut(amountInRaw, reserveIn, reserveOut, decimalsIn, decimalsOut, feeBps), decimalsOut)),
+        spotRate: Number(ethers.formatUnits(unitOut, decimalsOut)),
+        feeFraction: feeBps / 10000
+      };
+    }
+
+    const amountOutRaw = getV2AmountOut(amountInRaw, reserveIn, reserveOut, feeBps);
+    return {
+      amountOutValue: Number(ethers.formatUnits(amountOutRaw, decimalsOut)),
+      spotRate: Number(ethers.formatUnits(reserveOut, decimalsOut)) / Number(ethers.formatUnits(reserveIn, decimalsIn)),
+      feeFraction: feeBps / 10000
+    };
+  }
+};
@@ -0,0 +1,185 @@
+// src/adapters/aerodromeV3.js
+// Aerodrome Slipstream (concentrated liquidity with a UniswapV3-style Swap event)
+
+const { ethers } = require('ethers');
+const { simulateV3Swap } = require('../utils/swapMath');
+
+const ABI = [
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)',
+  'function liquidity() view returns (uint128)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+];
+
+// Slipstream slot0 has no feeProtocol, so the return layout differs between deployments
+const SLOT0_ABIS = [
+  ['function slot0() view returns (uint160, int24, uint16, uint16, uint16, uint16, bool)'],
+  ['function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)']
+];
+
+/**
+ * Read sqrtPriceX96 and tick, falling back to decoding the first two words by hand
+ */
+const readSlot0 = async (address, provider) => {
+  for (const abi of SLOT0_ABIS) {
+    try {
+      const slot0 = await new ethers.Contract(address, abi, provider).slot0();
+      return [slot0[0], Number(slot0[1])];
+    } catch (error) {
+      // Try the next layout
+    }
+  }
+
+  try {
+    const data = new ethers.Interface(['function slot0()']).encodeFunctionData('slot0', []);
+    const result = await provider.call({ to: address, data });
+    const [sqrtPriceX96, tick] = ethers.AbiCoder.defaultAbiCoder().decode(['uint160', 'int24'], ethers.dataSlice(result, 0, 64));
+    return [sqrtPriceX96, Number(tick)];
+  } catch (error) {
+    throw new Error(`All methods failed to read Aerodrome V3 slot0: ${error.message}`);
+  }
+};
+
+module.exports = {
+  type: 'AERODROME_V3',
+  protocol: 'aerodromev3',
+  protocolAliases: ['slipstream'],
+  name: 'Aerodrome V3',
+  dex: 'aerodrome',
+  version: 3,
+
+  async loadPool(poolConfig, tokenAddress, ctx) {
+    const poolContract = new ethers.Contract(poolConfig.address, ABI, ctx.reader);
+
+    const [[sqrtPriceX96, tick], liquidity, token0, token1] = await Promise.all([
+      readSlot0(poolConfig.address, ctx.reader),
+      poolContract.liquidity(),
+      poolContract.token0(),
+      poolContract.token1()
+    ]);
+
+    // CRITICAL: Validate that the token is actually in this pool
+    const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    const isToken1 = token1.toLowerCase() === tokenAddress.toLowerCase();
+    if (!isToken0 && !isToken1) {
+      throw new Error(`Token ${tokenAddress} not found in pool. Pool contains ${token0} and ${token1}`);
+    }
+
+    const [decimals0, decimals1] = await Promise.all([
+      ctx.getTokenDecimals(token0),
+      ctx.getTokenDecimals(token1)
+    ]);
+
+    return {
+      address: poolConfig.address,
+      type: 'AERODROME_V3',
+      token0: token0.toLowerCase(),
+      token1: token1.toLowerCase(),
+      decimals0,
+      decimals1,
+      fee: poolConfig.fee, // Use fee from config
+      sqrtPriceX96: sqrtPriceX96.toString(),
+      tick,
+      liquidity: liquidity.toString(),
+      hasLiquidity: liquidity > 0n,
+      config: poolConfig
+    };
+  },
+
+  subscribe(pool, onSwap, ctx) {
+    const poolContract = new ethers.Contract(pool.address, ABI, ctx.events);
+
+    // The event carries the new price - no extra RPC needed
+    poolContract.on('Swap', (sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick, event) => {
+      pool.sqrtPriceX96 = sqrtPriceX96.toString();
+      pool.liquidity = liquidity.toString();
+      pool.tick = Number(tick);
+
+      onSwap({ sender, recipient, amount0, amount1, event });
+    });
+
+    // Same liquidity bookkeeping as built-in V3 pools (a removed log from a reorged block is undone)
+    poolContract.on('Mint', (sender, owner, tickLower, tickUpper, amount, amount0, amount1, event) => {
+      if (event.log?.removed) {
+        ctx.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), -amount);
+        return;
+      }
+      ctx.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), amount);
+      ctx.emitLiquidityEvent(pool, { type: 'add', amount0, amount1, owner, event });
+    });
+
+    // Burn with zero liquidity only settles fees (position poke) - nothing to report
+    poolContract.on('Burn', (owner, tickLower, tickUpper, amount, amount0, amount1, event) => {
+      if (amount === 0n) return;
+      if (event.log?.removed) {
+        ctx.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), amount);
+        ctx.addV3OwedPrincipal(pool, owner, Number(tickLower), Number(tickUpper), amount0, amount1, -1n);
+        return;
+      }
+      ctx.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), -amount);
+      ctx.addV3OwedPrincipal(pool, owner, Number(tickLower), Number(tickUpper), amount0, amount1);
+      ctx.emitLiquidityEvent(pool, { type: 'remove', amount0, amount1, owner, event });
+    });
+
+    // Collect pays out the burned principal (reported by Burn) plus fees - only the fees are reported
+    poolContract.on('Collect', (owner, recipient, tickLower, tickUpper, amount0, amount1, event) => {
+      if ((amount0 === 0n && amount1 === 0n) || event.log?.removed) return;
+      const [fee0, fee1] = ctx.settleV3Collect(pool, owner, Number(tickLower), Number(tickUpper), amount0, amount1);
+      if (fee0 === 0n && fee1 === 0n) return;
+      ctx.emitLiquidityEvent(pool, { type: 'fees', amount0: fee0, amount1: fee1, owner: recipient, event });
+    });
+
+    return poolContract;
+  },
+
+  decodeSwap(raw, pool, tokenAddress, ctx) {
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    const swapInfo = ctx.parseV3SwapInfo(
+      raw.amount0, raw.amount1, isToken0, pool.decimals0, pool.decimals1, pool.config
+    );
+
+    return { ...swapInfo, sender: raw.sender, recipient: raw.recipient, event: raw.event };
+  },
+
+  spotPrice(pool, tokenAddress, ctx) {
+    return ctx.calculateV3Price(tokenAddress, pool);
+  },
+
+  liquidityUSD(pool, tokenAddress, priceUSD, priceInPair, ctx) {
+    return ctx.getV3LiquidityUSD(pool, tokenAddress, priceUSD, priceInPair);
+  },
+
+  depth(pool, ctx) {
+    return ctx.getV3DepthState(pool);
+  },
+
+  // Slipstream pools keep the V3 oracle
+  twap(pool, tokenAddress, windowSec, ctx) {
+    return ctx.getV3TwapPrice(pool, tokenAddress, windowSec);
+  },
+
+  quote(pool, { zeroForOne, amountInRaw, decimalsIn, decimalsOut }) {
+    const result = simulateV3Swap({
+      sqrtPriceX96: pool.sqrtPriceX96,
+      liquidity: pool.liquidity,
+      fee: pool.fee,
+      ticks: pool.ticks
+    }, zeroForOne, Number(amountInRaw));
+
+    const sqrtPrice = Number(pool.sqrtPriceX96) / 2 ** 96;
+    const rawRate = zeroForOne ? sqrtPrice * sqrtPrice : 1 / (sqrtPrice * sqrtPrice);
+
+    return {
+      amountOutValue: result.amountOut / Math.pow(10, decimalsOut),
+      spotRate: rawRate * Math.pow(10, decimalsIn - decimalsOut),
+      feeFraction: (pool.fee || 0) / 1e6,
+      ticksCrossed: result.ticksCrossed,
+      exhausted: result.exhausted,
+      // Without loaded ticks the active liquidity is assumed constant
+      approximate: !pool.ticks
+    };
+  }
+};
@@ -0,0 +1,156 @@
+// src/adapters/index.js
+// DEX adapter registry - built-in adapters plus modules loaded from a directory or config
+
+const fs = require('fs');
+const path = require('path');
+
+// settings.adapterDir is relative to src/
+const SRC_DIR = path.resolve(__dirname, '..');
+
+const BUILT_IN = ['aerodromeV2.js', 'aerodromeV3.js'];
+
+/**
+ * A DEX adapter handles every pool whose config has `type: adapter.type`.
+ * See docs/ADAPTERS.md for the full contract.
+ *
+ * {
+ *   type: 'MY_DEX',              // Pool type used in token configs
+ *   protocol: 'mydex',           // Protocol name sent with swap confirmations
+ *   protocolAliases: ['mydex2'], // Optional, other protocol names of the pool type
+ *   name: 'My DEX',              // Optional, used in pool descriptions
+ *   dex: 'mydex', version: 2,    // Optional, pools given as { dex, version } without a type
+ *   loadPool(poolConfig, tokenAddress, ctx)      → Promise<pool>
+ *   subscribe(pool, onSwap, ctx)                 → object with removeAllListeners() (e.g. the Contract)
+ *   decodeSwap(raw, pool, tokenAddress, ctx)     → swapInfo
+ *   spotPrice(pool, tokenAddress, ctx)           → { priceInPair, isToken0 }
+ *   quote(pool, request, ctx)                    → { amountOutValue, spotRate, feeFraction, ... } (optional)
+ *   liquidityUSD(pool, tokenAddress, priceUSD, priceInPair, ctx) → Number (optional)
+ *   depth(pool, ctx)                             → { sqrtPriceX96, liquidity, ticks, approximate } (optional)
+ *   twap(pool, tokenAddress, windowSec, ctx)     → Promise<priceInPair|null> (optional)
+ * }
+ */
+const REQUIRED_METHODS = ['loadPool', 'subscribe', 'decodeSwap', 'spotPrice'];
+const OPTIONAL_METHODS = ['quote', 'liquidityUSD', 'depth', 'twap'];
+
+/**
+ * Throw when a module does not implement the adapter contract
+ * @param {Object} adapter - Adapter module export
+ * @param {String} source - Where it was loaded from (for the error message)
+ */
+const validateAdapter = (adapter, source) => {
+  if (!adapter || typeof adapter.type !== 'string' || !adapter.type) {
+    throw new Error(`Adapter ${source} must export a string \`type\``);
+  }
+  if (typeof adapter.protocol !== 'string' || !adapter.protocol) {
+    throw new Error(`Adapter ${adapter.type} (${source}) must export a string \`protocol\``);
+  }
+  for (const method of REQUIRED_METHODS) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Adapter ${adapter.type} (${source}) is missing ${method}()`);
+    }
+  }
+  if (adapter.protocolAliases !== undefined && !(Array.isArray(adapter.protocolAliases) && adapter.protocolAliases.every(alias => typeof alias === 'string'))) {
+    throw new Error(`Adapter ${adapter.type} (${source}) protocolAliases must be an array of strings`);
+  }
+  for (const method of OPTIONAL_METHODS) {
+    if (adapter[method] !== undefined && typeof adapter[method] !== 'function') {
+      throw new Error(`Adapter ${adapter.type} (${source}) ${method} must be a function`);
+    }
+  }
+};
+
+class AdapterRegistry {
+  constructor() {
+    this.adapters = new Map(); // type → adapter
+    this.sources = new Set(); // Module paths already registered
+  }
+
+  register(adapter, source = 'built-in') {
+    validateAdapter(adapter, source);
+    this.sources.add(source);
+
+    if (this.adapters.has(adapter.type)) {
+      console.log(`⚠️  Adapter ${adapter.type} from ${source} replaces the previous one`);
+    }
+    this.adapters.set(adapter.type, adapter);
+  }
+
+  /**
+   * Register every .js file in a directory relative to src/ (missing directory is ignored)
+   */
+  loadFromDirectory(dir) {
+    const resolved = path.resolve(SRC_DIR, dir);
+    if (!fs.existsSync(resolved)) return;
+
+    const files = fs.readdirSync(resolved).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      const modulePath = path.join(resolved, file);
+      // The default adapterDir is this directory: skip the registry and the built-ins
+      if (modulePath === __filename || this.sources.has(modulePath)) continue;
+      this.register(require(modulePath), modulePath);
+    }
+  }
+
+  /**
+   * Register modules by path (relative to the working directory) or package name
+   */
+  loadModules(modules) {
+    for (const name of modules) {
+      const modulePath = name.startsWith('.') || path.isAbsolute(name) ? path.resolve(name) : name;
+      this.register(require(modulePath), name);
+    }
+  }
+
+  get(type) {
+    return this.adapters.get(type) || null;
+  }
+
+  has(type) {
+    return this.adapters.has(type);
+  }
+
+  findByProtocol(protocol) {
+    const name = protocol.toLowerCase();
+    return this.list().find(adapter => [adapter.protocol, ...(adapter.protocolAliases || [])]
+      .some(alias => alias.toLowerCase() === name)) || null;
+  }
+
+  /**
+   * Adapter declaring the dex and version of a pool given without a type
+   */
+  findByDex(dex, version) {
+    return this.list().find(adapter => adapter.dex === dex && adapter.version === version) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+}
+
+/**
+ * Registry with the built-in adapters, then `adapterDir` and `adapters` from settings
+ * (later registrations replace earlier ones with the same type)
+ * @param {Object} settings - config.settings
+ * @returns {AdapterRegistry} Registry
+ */
+const createAdapterRegistry = (settings) => {
+  const registry = new AdapterRegistry();
+
+  for (const file of BUILT_IN) {
+    const modulePath = path.join(__dirname, file);
+    registry.register(require(modulePath), modulePath);
+  }
+
+  if (settings.adapterDir) {
+    registry.loadFromDirectory(settings.adapterDir);
+  }
+  registry.loadModules(settings.adapters || []);
+
+  return registry;
+};
+
+module.exports = {
+  AdapterRegistry,
+  createAdapterRegistry,
+  validateAdapter
+};
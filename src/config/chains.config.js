@@ -0,0 +1,120 @@
+// src/config/chains.config.js
+// Chain registry - provider, base tokens, native price sources and DEX set per chain
+
+const config = require('./tokens.config');
+const { PANCAKESWAP, KNOWN_PAIRS, V3_FEE_TIERS } = require('../utils/constants');
+
+module.exports = {
+  // Bare addresses (no `chainId:` prefix) belong to this chain
+  defaultChainId: 56,
+
+  // A chain is started when the env variable in wssUrlEnv or rpcUrlEnv is set
+  // (required chains stop the service when both are missing). Both take a
+  // comma-separated list of endpoints - see ProviderPool for failover
+  chains: {
+    56: {
+      key: 'bsc',
+      name: 'BNB Smart Chain',
+      nativeSymbol: 'BNB',
+      wrappedNative: 'WBNB',
+      wssUrlEnv: 'WSS_URL',
+      rpcUrlEnv: 'RPC_URL',
+      required: true,
+      explorer: 'https://bscscan.com',
+
+      // BSC entries stay in tokens.config.js
+      addresses: config.addresses,
+      dexes: config.dexes,
+      defaultDex: config.settings.defaultDex,
+      nativePriceSources: config.bnbPriceSources,
+      defaultNativePrice: config.settings.defaultBnbPrice,
+      tokens: config.tokens,
+      agentTokens: config.agentTokens,
+
+      // Factory discovery (POST /api/monitor for unconfigured tokens)
+      discovery: {
+        name: 'PancakeSwap',
+        v2Factory: PANCAKESWAP.V2_FACTORY,
+        v3Factory: PANCAKESWAP.V3_FACTORY,
+        v3FeeTiers: V3_FEE_TIERS,
+        knownPairs: KNOWN_PAIRS
+      },
+      infinityPoolManager: PANCAKESWAP.INFINITY_CL_POOL_MANAGER
+    },
+
+    8453: {
+      key: 'base',
+      name: 'Base',
+      nativeSymbol: 'ETH',
+      wrappedNative: 'WETH',
+      wssUrlEnv: 'BASE_WSS_URL',
+      rpcUrlEnv: 'BASE_RPC_URL',
+      required: false,
+      explorer: 'https://basescan.org',
+
+      addresses: {
+        WETH: '0x4200000000000000000000000000000000000006',
+        USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+        USDbC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
+        USDT: '0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2',
+        DAI: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+        AERO: '0x940181a94A35A4569E4529A3CDfB74e38FD98631'
+      },
+
+      // Aerodrome pools use the AERODROME_V2 / AERODROME_V3 adapters
+      dexes: {
+        uniswap: {
+          name: 'Uniswap',
+          factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+          initCodeHash: '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f',
+          feeBps: 30,
+          abi: 'uniswapV2'
+        }
+      },
+      defaultDex: 'uniswap',
+
+      // ETH price sources (same format as bnbPriceSources)
+      defaultNativePrice: 3000, // Only used until a source answers
+      nativePriceSources: [
+        {
+          name: 'Uniswap V3 WETH/USDC 0.05%',
+          address: '0xd0b53D9277642d899DF5C87A3966A349A798F224',
+          type: 'V3',
+          fee: 500,
+          weight: 1,
+          token0: 'WETH',
+          token1: 'USDC',
+          decimals0: 18,
+          decimals1: 6
+        },
+        {
+          name: 'Aerodrome vAMM WETH/USDC',
+          address: '0xcDAC0d6c6C59727a65F871236188350531885C43',
+          type: 'V2',
+          weight: 1,
+          token0: 'WETH',
+          token1: 'USDC',
+          decimals0: 18,
+          decimals1: 6
+        },
+        {
+          name: 'Chainlink ETH/USD',
+          address: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+          type: 'CHAINLINK',
+          weight: 1
+        }
+      ],
+      tokens: {},
+      agentTokens: {},
+
+      discovery: {
+        name: 'Uniswap',
+        v2Factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+        v3Factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+        v3FeeTiers: [100, 500, 3000, 10000],
+        knownPairs: ['WETH', 'USDC', 'USDbC']
+      },
+      infinityPoolManager: null
+    }
+  }
+};
@@ -12,11 +12,54 @@ module.exports = {
     CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82',
   },
 
+  // V2 fork registry (select with `dex` in the token config)
+  //   factory + initCodeHash derive pair addresses (CREATE2), feeBps is the swap fee,
+  //   abi: 'uniswapV2' (fixed fee) or 'biswap' (per-pair swapFee() in tenths of a percent)
+  dexes: {
+    pancakeswap: {
+      name: 'PancakeSwap',
+      factory: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+      initCodeHash: '0x00fb7f630766e6a796048ea87d01acd3068e8ff67d078148a3fa3f4a84f69bd5',
+      feeBps: 25,
+      abi: 'uniswapV2'
+    },
+    biswap: {
+      name: 'Biswap',
+      factory: '0x858E3312ed3A876947EA49d572A7C42DE08af7EE',
+      initCodeHash: '0xfea293c909d87cd4153593f077b76bb7e94340200f4ee84211ae8e4f9bd7ffdf',
+      feeBps: 10,
+      abi: 'biswap'
+    },
+    apeswap: {
+      name: 'ApeSwap',
+      factory: '0x0841BD0B734E4F5853f0dD8d7Ea041c241fb0Da6',
+      initCodeHash: '0xf4ccce374816856d11f00e4069e7cada164065686fbef53c6167a63ec2fd8c5b',
+      feeBps: 20,
+      abi: 'uniswapV2'
+    },
+    babyswap: {
+      name: 'BabySwap',
+      factory: '0x86407bEa2078ea5f5EB5A52B2caA963bC1F889Da',
+      initCodeHash: '0x48c8bec5512d397a5d512fbb7d83d515e7b6d91e9838730bd1aa1b16575da7f5',
+      feeBps: 30,
+      abi: 'uniswapV2'
+    },
+    sushiswap: {
+      name: 'SushiSwap',
+      factory: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
+      initCodeHash: '0xe18a34eb0e04b04f7a0ac29a6e80748dca96319b42c54d679cb821dca90c6303',
+      feeBps: 30,
+      abi: 'uniswapV2'
+    }
+  },
+
   // Service Settings
   settings: {
     // BNB price settings
-    defaultBnbPrice: 600,
+    defaultBnbPrice: 600, // Only used until a source answers (payloads are flagged `degraded`)
     updateBnbPriceInterval: 60000, // 1 minute
+    bnbPriceMaxAge: 300000, // 5 minutes - older aggregator answers are rejected
+    bnbPriceMaxDeviation: 2, // percent from the median of all sources
 
     // Agent token price settings (for tokens paired with non-stablecoins)
     updateAgentPriceInterval: 30000, // 30 seconds
@@ -26,12 +69,117 @@ module.exports = {
     enableDebugLogs: false,
     decimalPlaces: 8,
 
-    // Reconnection settings
+    // Reconnection settings (used once every RPC endpoint is down)
     maxReconnectAttempts: 10,
     reconnectDelay: 5000, // 5 seconds
 
+    // RPC endpoint health (see ProviderPool) - an endpoint is unhealthy when its last check
+    // failed, it is more than providerMaxBlockLag blocks behind the best head, or more than
+    // providerMaxErrorRate of its recent checks failed
+    providerHealthCheckInterval: 15000, // 15 seconds
+    providerRequestTimeout: 5000,
+    providerMaxBlockLag: 3,
+    providerMaxErrorRate: 0.5,
+    providerPollingInterval: 1000, // Block polling on HTTP endpoints
+
+    // Pool events: 'wss' subscribes on every endpoint (one polled filter per pool and event
+    // on HTTP), 'polling' fetches the logs of all pools with one eth_getLogs per poll,
+    // 'auto' subscribes on WebSocket endpoints and polls on HTTP ones, moving back to a
+    // WebSocket endpoint once one is healthy again
+    eventTransport: 'auto',
+    logPollInterval: 0, // ms between log polls, 0 polls on every new block
+
+    // Read-only contract calls made within multicallWindow ms of each other go out as
+    // one Multicall3 aggregate3 call (multicallMaxCalls 1 disables batching)
+    multicallWindow: 5,
+    multicallMaxCalls: 100,
+    bulkOnboardConcurrency: 20, // Tokens of one /api/monitor-dynamic request loaded at once
+
+    // Swaps missed while the connection was down are fetched with eth_getLogs after
+    // a reconnect and replayed with `replayed: true` (0 disables the backfill)
+    backfillMaxBlocks: 2000, // Gaps further back than this are skipped
+    backfillChunkSize: 500, // Blocks per eth_getLogs request
+
+    // Chain reorgs: broadcast swaps are re-checked against the canonical block hash
+    // until they are reorgDepth blocks deep; swaps from dropped blocks (or logs delivered
+    // with removed: true) are retracted with `swap-retracted` (0 disables reorg tracking)
+    reorgDepth: 12,
+    reorgJournalSize: 500, // Recent trades per token whose candle updates can be undone
+
+    // Swaps are grouped by block: each token is priced once per block, from the pool
+    // state after its last swap, and gets one `block-summary` event
+    blockBatchDelay: 200, // ms after a block's last swap log before the block closes
+
     // Price update threshold (0.1% change triggers broadcast)
     priceUpdateThreshold: 0.001,
+
+    // USD routing: pairs other than WBNB/stablecoins are priced through monitored pools,
+    // taking the most liquid path of at most routeMaxHops pools to a stablecoin or WBNB
+    routeMaxHops: 3,
+
+    // Multi-pool aggregation: 'priority' (1 / priority) or 'liquidity' (USD liquidity)
+    // Override per token with `aggregation` in the token config
+    defaultAggregation: 'priority',
+    // V3 liquidity is measured within ±2% of the current price
+    liquidityDepthRange: 0.02,
+
+    // Outlier pools dropped before aggregation (override per token with `outlierStrategy`):
+    //   'mad'    - median absolute deviation score above outlierMadThreshold
+    //   'median' - more than outlierMaxDeviation % from the median
+    //   'quorum' - more than outlierMaxDeviation % from the median of pools holding
+    //              at least outlierQuorumLiquidityUSD (needs outlierQuorumSize such pools)
+    //   'stddev' - mean ± 2σ (legacy), 'none' - keep every pool
+    outlierStrategy: 'mad',
+    bnbOutlierStrategy: 'median',
+    outlierMadThreshold: 3,
+    outlierMaxDeviation: 5, // percent
+    outlierQuorumLiquidityUSD: 50000,
+    outlierQuorumSize: 1,
+
+    // V2 pools without a registry entry use this DEX's fee (override per pool with `feeBps`)
+    defaultDex: 'pancakeswap',
+
+    // DEX adapters (docs/ADAPTERS.md): every .js file in adapterDir (relative to src/) is
+    // registered, then each module in `adapters` (path relative to the working directory, or package name)
+    adapterDir: './adapters',
+    adapters: [],
+
+    // V3 tick data (quotes and depth): initialized ticks within ±50% of the price
+    tickLoadRange: 0.5,
+    maxTickWords: 10, // Cap on tickBitmap words read per side
+
+    // TWAP (tokens with priceMode: 'twap'; override window with `twapWindow`)
+    defaultTwapWindow: 1800, // 30 minutes, in seconds
+    twapUpdateInterval: 30000, // 30 seconds
+
+    // Token supply (market cap / FDV)
+    updateSupplyInterval: 600000, // 10 minutes
+    // Balances held here are excluded from circulating supply
+    // Add per-token lockers with `lockedAddresses` in the token config
+    burnAddresses: [
+      '0x000000000000000000000000000000000000dEaD',
+      '0x0000000000000000000000000000000000000000'
+    ],
+
+    // Candle settings (bars kept in memory per token and interval)
+    // Rolling 24h stats read 5m bars, so keep this >= 288
+    candleMaxBars: 1000,
+
+    // Price history storage ('file' = append-only JSONL, 'memory', or 'none')
+    historyBackend: 'file',
+    historyDir: './data/history',
+    historyFlushInterval: 1000, // 1 second
+    historyRetention: 30 * 24 * 60 * 60 * 1000, // 30 days
+    historyCompactInterval: 60 * 60 * 1000, // 1 hour
+    // Price points older than `after` are thinned to one per `resolution`
+    historyDownsampling: [
+      { after: 24 * 60 * 60 * 1000, resolution: 60000 }, // > 1 day: 1 minute
+      { after: 7 * 24 * 60 * 60 * 1000, resolution: 3600000 } // > 7 days: 1 hour
+    ],
+
+    // On-chain token metadata (name, symbol, decimals, totalSupply) cache, one <chainId>.json per chain
+    // Set to null to keep it in memory only
+    tokenMetadataDir: './data/metadata',
   },
 
   // Pre-configured tokens to monitor
@@ -42,10 +190,15 @@ module.exports = {
     //   symbol: 'TOKEN',
     //   name: 'Token Name',
     //   decimals: 18,
+    //   lockedAddresses: [],  // Optional: lockers excluded from circulating supply
+    //   aggregation: 'liquidity', // Optional: 'priority' (default) or 'liquidity'
+    //   outlierStrategy: 'quorum', // Optional: overrides settings.outlierStrategy
+    //   priceMode: 'twap', // Optional: 'spot' (default) or 'twap' (TWAP drives alerts)
+    //   twapWindow: 300,   // Optional: TWAP window in seconds
     //   pools: [
     //     {
     //       address: '0xPOOL_ADDRESS',
-    //       type: 'V2',        // V2 or V3
+    //       type: 'V2',        // V2, V3, STABLESWAP (nCoins: 3 for 3-pools) or INFINITY_CL (address = pool id)
     //       fee: 2500,         // Required for V3 (100, 500, 2500, 10000)
     //       tokenIndex: 0,     // 0 if token is token0, 1 if token is token1
     //       quoteToken: 'WBNB' // WBNB, USDC, USDT, BUSD
@@ -78,11 +231,33 @@ module.exports = {
       'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
     ],
 
+    // PancakeSwap StableSwap Pool (fee denominator 1e10)
+    stableSwapPool: [
+      'function coins(uint256 i) view returns (address)',
+      'function balances(uint256 i) view returns (uint256)',
+      'function get_dy(uint256 i, uint256 j, uint256 dx) view returns (uint256)',
+      'function fee() view returns (uint256)',
+      'function A() view returns (uint256)',
+      'event TokenExchange(address indexed buyer, uint256 sold_id, uint256 tokens_sold, uint256 bought_id, uint256 tokens_bought)'
+    ],
+
+    // PancakeSwap Infinity CLPoolManager (singleton, pools keyed by PoolId)
+    infinityClPoolManager: [
+      'function getSlot0(bytes32 id) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)',
+      'function getLiquidity(bytes32 id) view returns (uint128)',
+      'function poolIdToPoolKey(bytes32 id) view returns (address currency0, address currency1, address hooks, address poolManager, uint24 fee, bytes32 parameters)',
+      'function getPoolBitmapInfo(bytes32 id, int16 word) view returns (uint256 tickBitmap)',
+      'function getPoolTickInfo(bytes32 id, int24 tick) view returns (tuple(uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128))',
+      'event ModifyLiquidity(bytes32 indexed id, address indexed sender, int24 tickLower, int24 tickUpper, int256 liquidityDelta, bytes32 salt)',
+      'event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee, uint16 protocolFee)'
+    ],
+
     // ERC-20 Token
     erc20: [
       'function name() view returns (string)',
       'function symbol() view returns (string)',
       'function decimals() view returns (uint8)',
+      'function totalSupply() view returns (uint256)',
       'function balanceOf(address) view returns (uint256)'
     ]
   },
@@ -94,10 +269,12 @@ module.exports = {
     fee: 100
   },
 
-  // BNB Price Sources (for multi-pool price averaging)
+  // BNB Price Sources (weighted average of the sources passing age and deviation checks)
+  // type: 'V3' (slot0), 'V2' (getReserves) or 'CHAINLINK' (latestRoundData)
   bnbPriceSources: [
     {
-      address: '0x36696169C63e42cd08ce11f5deeBbCeBae652050', // PancakeSwap V3 USDT/WBNB 0.01%
+      name: 'PancakeSwap V3 USDT/WBNB 0.01%',
+      address: '0x36696169C63e42cd08ce11f5deeBbCeBae652050',
       type: 'V3',
       fee: 100,
       weight: 1,
@@ -105,6 +282,32 @@ module.exports = {
       token1: 'WBNB',  // Token1 is WBNB (0xbb4CdB9...)
       decimals0: 18,
       decimals1: 18
+    },
+    {
+      name: 'PancakeSwap V2 USDT/WBNB',
+      address: '0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE',
+      type: 'V2',
+      weight: 1,
+      token0: 'USDT',
+      token1: 'WBNB',
+      decimals0: 18,
+      decimals1: 18
+    },
+    {
+      name: 'PancakeSwap V2 WBNB/BUSD',
+      address: '0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16',
+      type: 'V2',
+      weight: 1,
+      token0: 'WBNB',
+      token1: 'BUSD',
+      decimals0: 18,
+      decimals1: 18
+    },
+    {
+      name: 'Chainlink BNB/USD',
+      address: '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE',
+      type: 'CHAINLINK',
+      weight: 1
     }
   ]
 };
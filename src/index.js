@@ -8,7 +8,7 @@ const cors = require('cors');
 require('dotenv').config();
 
 // Services
-const PriceMonitor = require('./services/PriceMonitor');
+const MultiChainMonitor = require('./services/MultiChainMonitor');
 const ConnectionManager = require('./services/ConnectionManager');
 const SwapMicroserviceClient = require('./services/SwapMicroserviceClient');
 
@@ -18,12 +18,13 @@ const errorHandler = require('./middlewares/errorHandler');
 const logger = require('./middlewares/logger');
 
 // Routes
-const { healthRoutes, tokensRoutes, pricesRoutes, monitoringRoutes } = require('./routes');
+const { healthRoutes, tokensRoutes, pricesRoutes, monitoringRoutes, quoteRoutes, poolsRoutes, discoverRoutes } = require('./routes');
 const listenerRoutes = require('./routes/listener.routes');
 
 // Config
 const config = require('./config/tokens.config');
 const { SERVICE, HTTP_STATUS, DEFAULTS } = require('./utils/constants');
+const { parseChainKey, toChainKey } = require('./utils/chains');
 
 class PriceListenerApp {
   constructor() {
@@ -78,6 +79,9 @@ class PriceListenerApp {
     this.app.use('/health', healthRoutes(this.priceMonitor, this.connectionManager, this.startTime));
     this.app.use('/api/tokens', tokensRoutes(this.priceMonitor));
     this.app.use('/api/prices', pricesRoutes(this.priceMonitor));
+    this.app.use('/api/quote', quoteRoutes(this.priceMonitor));
+    this.app.use('/api/pools', poolsRoutes(this.priceMonitor));
+    this.app.use('/api/discover', discoverRoutes(this.priceMonitor));
     this.app.use('/api', monitoringRoutes(this.priceMonitor));
 
     // Swap confirmation listener routes (for Swap Microservice integration)
@@ -112,11 +116,14 @@ class PriceListenerApp {
           dynamicBnbPrice: true,
           caching: true,
           metricsTracking: true,
-          buySellDetection: true
-        }
+          buySellDetection: true,
+          candles: true,
+          multiChain: true
+        },
+        chains: this.priceMonitor?.getChainsInfo().map(({ chainId, key, name }) => ({ chainId, key, name })) || []
       });
 
-      // Handle subscription
+      // Handle subscription (tokenAddress may be `chainId:address`, or pass chainId)
       socket.on('subscribe', async (data) => {
         try {
           const { tokenAddress } = data;
@@ -126,21 +133,24 @@ class PriceListenerApp {
             return;
           }
 
-          console.log(`📡 Subscribe request from ${clientId}: ${tokenAddress}`);
+          const { chainId, address } = parseChainKey(tokenAddress, data.chainId);
+          const tokenKey = toChainKey(chainId, address);
+          console.log(`📡 Subscribe request from ${clientId}: ${tokenKey}`);
 
           // Join room for this token
-          const room = `token:${tokenAddress.toLowerCase()}`;
+          const room = `token:${tokenKey}`;
           socket.join(room);
 
           // Track subscription
-          this.connectionManager.addSubscription(socket.id, tokenAddress);
+          this.connectionManager.addSubscription(socket.id, tokenKey);
 
-          // Add token to monitoring if not already
-          const price = await this.priceMonitor.addToken(tokenAddress);
+          // Add token to monitoring if not already (throws for chains that are not enabled)
+          const price = await this.priceMonitor.addToken(address, chainId);
 
           // Send subscription confirmation with current price
           socket.emit('subscribed', {
             tokenAddress,
+            chainId,
             currentPrice: price,
             room
           });
@@ -163,11 +173,19 @@ class PriceListenerApp {
         const { tokenAddress } = data;
 
         if (tokenAddress) {
-          const normalizedAddress = tokenAddress.toLowerCase();
-          const room = `token:${normalizedAddress}`;
+          let tokenKey;
+          try {
+            const { chainId, address } = parseChainKey(tokenAddress, data.chainId);
+            tokenKey = toChainKey(chainId, address);
+          } catch (error) {
+            socket.emit('error', { message: 'Unsubscribe failed', error: error.message });
+            return;
+          }
+
+          const room = `token:${tokenKey}`;
           socket.leave(room);
-          this.connectionManager.removeSubscription(socket.id, tokenAddress);
-          console.log(`Client ${clientId} unsubscribed from ${tokenAddress}`);
+          this.connectionManager.removeSubscription(socket.id, tokenKey);
+          console.log(`Client ${clientId} unsubscribed from ${tokenKey}`);
 
           socket.emit('unsubscribed', { tokenAddress });
 
@@ -176,8 +194,8 @@ class PriceListenerApp {
           try {
             const sockets = await this.io.in(room).allSockets();
             if (sockets.size === 0) {
-              console.log(`No clients left for ${tokenAddress}, removing from monitoring`);
-              this.priceMonitor.removeDynamicToken(tokenAddress);
+              console.log(`No clients left for ${tokenKey}, removing from monitoring`);
+              this.priceMonitor.removeDynamicToken(tokenKey);
             } else {
               console.log(`${sockets.size} client(s) still subscribed to ${tokenAddress}`);
             }
@@ -247,8 +265,8 @@ class PriceListenerApp {
       // Setup WebSocket server
       this.setupWebSocket();
 
-      // Initialize price monitor (with swap client for confirmations)
-      this.priceMonitor = new PriceMonitor(this.io, this.swapClient);
+      // Initialize one price monitor per enabled chain (with swap client for confirmations)
+      this.priceMonitor = new MultiChainMonitor(this.io, this.swapClient);
       await this.priceMonitor.initialize();
 
       // Connect to Swap Microservice (if configured)
@@ -279,6 +297,11 @@ class PriceListenerApp {
         console.log(`  GET  /api/tokens/monitored        - List monitored tokens`);
         console.log(`  GET  /api/prices                  - Get all cached prices`);
         console.log(`  GET  /api/prices/:token           - Get token price from cache`);
+        console.log(`  GET  /api/prices/:token/candles   - Get OHLCV candles for a token`);
+        console.log(`  GET  /api/prices/:token/history   - Get stored price/swap history`);
+        console.log(`  GET  /api/quote                   - Quote a swap with price impact`);
+        console.log(`  GET  /api/pools/:address/depth    - Get liquidity depth curve`);
+        console.log(`  GET  /api/discover/:token         - Preview discovered pools`);
         console.log(`  GET  /api/metrics                 - Get system metrics`);
         console.log(`  GET  /api/settings                - Get configuration settings`);
         console.log(`  POST /api/monitor                 - Add token to monitoring`);
@@ -1,6 +1,9 @@
 // src/middlewares/validator.js
 // Request validation middleware
 
+const { OUTLIER_STRATEGIES } = require('../utils/constants');
+const { getChain, parseChainKey } = require('../utils/chains');
+
 const validateDynamicTokens = (req, res, next) => {
   const { tokens } = req.body;
 
@@ -15,21 +18,60 @@ const validateDynamicTokens = (req, res, next) => {
   // Validate each token configuration
   const errors = [];
   tokens.forEach((token, index) => {
+    // Chain from the `chainId:` prefix or the chainId field (default chain otherwise)
+    let chain = getChain();
     if (!token.tokenAddress) {
       errors.push(`Token ${index}: tokenAddress is required`);
+    } else {
+      try {
+        chain = getChain(parseChainKey(token.tokenAddress, token.chainId).chainId);
+      } catch (error) {
+        errors.push(`Token ${index}: ${error.message}`);
+      }
     }
-    if (!token.poolAddress) {
+    if (token.version === 'infinity') {
+      if (!/^0x[0-9a-fA-F]{64}$/.test(token.poolId || '')) {
+        errors.push(`Token ${index}: poolId (bytes32) is required for Infinity pools`);
+      }
+    } else if (!token.poolAddress && (token.version !== 2 || token.type !== undefined)) {
+      // V2 pairs can be derived from the DEX factory
       errors.push(`Token ${index}: poolAddress is required`);
     }
     if (!token.pair) {
       errors.push(`Token ${index}: pair is required (WBNB, USDC, USDT, BUSD, or agent token)`);
     }
-    if (!token.version) {
-      errors.push(`Token ${index}: version is required (2 or 3)`);
+    if (token.type !== undefined) {
+      // Adapter pools: the type is checked against the registry when the token is added
+      if (typeof token.type !== 'string' || !token.type) {
+        errors.push(`Token ${index}: type must be a pool type handled by a DEX adapter`);
+      }
+    } else if (![2, 3, 'stable', 'infinity'].includes(token.version)) {
+      errors.push(`Token ${index}: version is required (2, 3, 'stable' or 'infinity')`);
     }
     if (token.version === 3 && !token.fee) {
       errors.push(`Token ${index}: fee is required for V3 pools`);
     }
+    if (token.dex && token.version === 2 && !['uniswap', 'aerodrome', ...Object.keys(chain.dexes)].includes(String(token.dex).toLowerCase())) {
+      errors.push(`Token ${index}: dex must be one of: aerodrome, ${Object.keys(chain.dexes).join(', ')} on ${chain.name}`);
+    }
+    if (token.feeBps !== undefined && (!Number.isInteger(token.feeBps) || token.feeBps < 0 || token.feeBps >= 10000)) {
+      errors.push(`Token ${index}: feeBps must be an integer between 0 and 9999`);
+    }
+    if (token.decimals !== undefined && (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255)) {
+      errors.push(`Token ${index}: decimals must be an integer between 0 and 255`);
+    }
+    if (token.aggregation && !['priority', 'liquidity'].includes(token.aggregation)) {
+      errors.push(`Token ${index}: aggregation must be 'priority' or 'liquidity'`);
+    }
+    if (token.outlierStrategy && !OUTLIER_STRATEGIES.includes(token.outlierStrategy)) {
+      errors.push(`Token ${index}: outlierStrategy must be one of: ${OUTLIER_STRATEGIES.join(', ')}`);
+    }
+    if (token.priceMode && !['spot', 'twap'].includes(token.priceMode)) {
+      errors.push(`Token ${index}: priceMode must be 'spot' or 'twap'`);
+    }
+    if (token.twapWindow !== undefined && (!Number.isInteger(token.twapWindow) || token.twapWindow <= 0)) {
+      errors.push(`Token ${index}: twapWindow must be a positive number of seconds`);
+    }
   });
 
   if (errors.length > 0) {
@@ -0,0 +1,38 @@
+// src/routes/discover.routes.js
+// Pool discovery routes
+
+const express = require('express');
+const router = express.Router();
+const { isTokenKey, toChainKey } = require('../utils/chains');
+
+module.exports = (priceMonitor) => {
+  // GET /api/discover/:token - Preview the pools POST /api/monitor would add
+  router.get('/:token', async (req, res) => {
+    const { token } = req.params;
+
+    if (!isTokenKey(token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token address'
+      });
+    }
+
+    try {
+      const discovery = await priceMonitor.discoverPools(token);
+
+      res.json({
+        success: true,
+        ...discovery,
+        count: discovery.pools.length,
+        monitored: priceMonitor.isMonitored(toChainKey(discovery.chainId, discovery.tokenAddress))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
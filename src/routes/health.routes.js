@@ -22,6 +22,8 @@ module.exports = (priceMonitor, connectionManager, startTime) => {
         activeSockets: connections.totalConnections,
         monitoredTokens: priceMonitor?.getMonitoredTokens()?.length || 0,
       },
+      bnbPrice: priceMonitor?.getBNBPriceInfo() || null,
+      chains: priceMonitor?.getChainsInfo() || [],
       timestamp: new Date().toISOString()
     });
   });
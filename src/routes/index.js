@@ -5,10 +5,16 @@ const healthRoutes = require('./health.routes');
 const tokensRoutes = require('./tokens.routes');
 const pricesRoutes = require('./prices.routes');
 const monitoringRoutes = require('./monitoring.routes');
+const quoteRoutes = require('./quote.routes');
+const poolsRoutes = require('./pools.routes');
+const discoverRoutes = require('./discover.routes');
 
 module.exports = {
   healthRoutes,
   tokensRoutes,
   pricesRoutes,
-  monitoringRoutes
+  monitoringRoutes,
+  quoteRoutes,
+  poolsRoutes,
+  discoverRoutes
 };
@@ -4,13 +4,14 @@
 const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
+const { isTokenKey } = require('../utils/chains');
 
 module.exports = (priceMonitor, swapClient) => {
 
   // POST /api/listener/start - Start monitoring a pool for swap confirmations
   router.post('/start', async (req, res) => {
     try {
-      const { tokenAddress, poolAddress, protocol, pairType, userAddress } = req.body;
+      const { chainId, tokenAddress, poolAddress, protocol, pairType, userAddress } = req.body;
 
       // Validate required fields
       if (!tokenAddress || !poolAddress || !protocol) {
@@ -21,7 +22,7 @@ module.exports = (priceMonitor, swapClient) => {
       }
 
       // Validate addresses
-      if (!ethers.isAddress(tokenAddress)) {
+      if (!isTokenKey(tokenAddress)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid tokenAddress'
@@ -52,7 +53,7 @@ module.exports = (priceMonitor, swapClient) => {
       }
 
       // Check if already listening
-      const existingListener = priceMonitor.getSwapListener(tokenAddress);
+      const existingListener = priceMonitor.getSwapListener(tokenAddress, chainId);
       if (existingListener) {
         return res.json({
           success: true,
@@ -63,6 +64,7 @@ module.exports = (priceMonitor, swapClient) => {
 
       // Start listening with user-specific configuration
       const result = await priceMonitor.startSwapListener({
+        chainId,
         tokenAddress,
         poolAddress,
         protocol: protocol.toLowerCase(),
@@ -75,6 +77,7 @@ module.exports = (priceMonitor, swapClient) => {
           success: true,
           message: 'Price listener started successfully',
           data: {
+            chainId: result.chainId,
             tokenAddress,
             poolAddress,
             protocol: protocol.toLowerCase(),
@@ -102,7 +105,7 @@ module.exports = (priceMonitor, swapClient) => {
   // POST /api/listener/stop - Stop monitoring a token
   router.post('/stop', async (req, res) => {
     try {
-      const { tokenAddress } = req.body;
+      const { tokenAddress, chainId } = req.body;
 
       if (!tokenAddress) {
         return res.status(400).json({
@@ -111,14 +114,14 @@ module.exports = (priceMonitor, swapClient) => {
         });
       }
 
-      if (!ethers.isAddress(tokenAddress)) {
+      if (!isTokenKey(tokenAddress)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid tokenAddress'
         });
       }
 
-      const stopped = priceMonitor.stopSwapListener(tokenAddress);
+      const stopped = priceMonitor.stopSwapListener(tokenAddress, chainId);
 
       if (stopped) {
         res.json({
@@ -7,12 +7,12 @@ const { validateDynamicTokens, validateTokenAddress } = require('../middlewares/
 const config = require('../config/tokens.config');
 
 module.exports = (priceMonitor) => {
-  // Add token to monitoring (from config)
+  // Add token to monitoring (from config, or pools discovered from the chain's DEX factories)
   router.post('/', validateTokenAddress, async (req, res) => {
-    const { tokenAddress } = req.body;
+    const { tokenAddress, chainId } = req.body;
 
     try {
-      const price = await priceMonitor.addToken(tokenAddress);
+      const price = await priceMonitor.addToken(tokenAddress, chainId);
 
       if (price) {
         res.json({
@@ -23,7 +23,7 @@ module.exports = (priceMonitor) => {
       } else {
         res.status(400).json({
           success: false,
-          error: 'Failed to add token. Check if it\'s configured in tokens.config.js'
+          error: 'Failed to add token. No configured or discoverable pools with liquidity'
         });
       }
     } catch (error) {
@@ -0,0 +1,65 @@
+// src/routes/pools.routes.js
+// Pool liquidity routes
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config/tokens.config');
+const { isPoolKey } = require('../utils/chains');
+
+module.exports = (priceMonitor) => {
+  // GET /api/pools/:address/depth?range=5&step=1 - Cumulative depth curve for a pool (address or Infinity pool id)
+  router.get('/:address/depth', (req, res) => {
+    const { address } = req.params;
+    const range = req.query.range !== undefined ? Number(req.query.range) : 5;
+    const step = req.query.step !== undefined ? Number(req.query.step) : 1;
+    // Depth beyond the loaded tick range would be a guess
+    const maxRange = config.settings.tickLoadRange * 100;
+
+    // Infinity pools are addressed by their bytes32 pool id (optionally `chainId:` prefixed)
+    if (!isPoolKey(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pool address or id'
+      });
+    }
+
+    if (!Number.isFinite(range) || range <= 0 || range > maxRange) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid range. Must be between 0 and ${maxRange} (percent)`
+      });
+    }
+
+    if (!Number.isFinite(step) || step <= 0 || range / step > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid step. Must be positive with at most 100 steps per side'
+      });
+    }
+
+    try {
+      const depth = priceMonitor.getPoolDepth(address, range, step);
+
+      if (!depth) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pool not found or not monitored'
+        });
+      }
+
+      res.json({
+        success: true,
+        range,
+        step,
+        ...depth
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
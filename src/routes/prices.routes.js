@@ -3,6 +3,9 @@
 
 const express = require('express');
 const router = express.Router();
+const config = require('../config/tokens.config');
+const { CANDLE_INTERVALS } = require('../utils/constants');
+const { isTokenKey } = require('../utils/chains');
 
 module.exports = (priceMonitor) => {
   // Get all cached prices
@@ -20,6 +23,97 @@ module.exports = (priceMonitor) => {
     });
   });
 
+  // Get OHLCV candles for a token
+  router.get('/:token/candles', (req, res) => {
+    const tokenAddress = req.params.token;
+    const interval = req.query.interval || '1m';
+    const maxBars = config.settings.candleMaxBars;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, maxBars);
+
+    if (!CANDLE_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid interval. Must be one of: ${Object.keys(CANDLE_INTERVALS).join(', ')}`
+      });
+    }
+
+    try {
+      const candles = priceMonitor?.getCandles(tokenAddress, interval, limit) || [];
+
+      res.json({
+        success: true,
+        tokenAddress: tokenAddress.toLowerCase(),
+        interval,
+        count: candles.length,
+        candles
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get stored price/swap history for a token
+  router.get('/:token/history', async (req, res) => {
+    const tokenAddress = req.params.token;
+    const { resolution = 'raw', type = 'price' } = req.query;
+
+    if (!isTokenKey(tokenAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token address'
+      });
+    }
+
+    if (resolution !== 'raw' && !CANDLE_INTERVALS[resolution]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid resolution. Must be one of: raw, ${Object.keys(CANDLE_INTERVALS).join(', ')}`
+      });
+    }
+
+    if (type !== 'price' && type !== 'swap') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type. Must be one of: price, swap'
+      });
+    }
+
+    // from/to accept unix ms or ISO dates (default: last 24 hours)
+    const parseTime = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 24 * 60 * 60 * 1000;
+
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time range. Use unix ms or ISO dates with from <= to'
+      });
+    }
+
+    try {
+      const history = await priceMonitor.getPriceHistory(tokenAddress, { from, to, resolution, type });
+
+      res.json({
+        success: true,
+        tokenAddress: tokenAddress.toLowerCase(),
+        type,
+        resolution,
+        from,
+        to,
+        count: history.length,
+        history
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   // Get specific token price (from cache)
   router.get('/:token', (req, res) => {
     const tokenAddress = req.params.token;
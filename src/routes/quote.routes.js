@@ -0,0 +1,75 @@
+// src/routes/quote.routes.js
+// Swap quote and price impact routes
+
+const express = require('express');
+const router = express.Router();
+const { isTokenKey, isPoolKey } = require('../utils/chains');
+
+module.exports = (priceMonitor) => {
+  // GET /api/quote?token=&side=buy|sell&amountIn=&pool= - Simulate a trade on cached pool state
+  router.get('/', (req, res) => {
+    const { token, side, amountIn, pool } = req.query;
+
+    if (!token || !side || !amountIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: token, side, amountIn'
+      });
+    }
+
+    if (!isTokenKey(token) || (pool && !isPoolKey(pool))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token or pool address'
+      });
+    }
+
+    if (side !== 'buy' && side !== 'sell') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid side. Must be one of: buy, sell'
+      });
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(amountIn) || Number(amountIn) <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'amountIn must be a positive decimal number'
+      });
+    }
+
+    // Unknown or disabled chain
+    try {
+      priceMonitor.resolve(token);
+      if (pool) priceMonitor.resolve(pool);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    try {
+      const result = priceMonitor.getQuote(token, { side, amountIn, pool });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: pool ? 'Token or pool not found or not monitored' : 'Token not found or not monitored'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
@@ -2,7 +2,7 @@
 // Token routes for the Price Listener API
 
 const express = require('express');
-const config = require('../config/tokens.config');
+const { listChains, parseChainKey, getChain } = require('../utils/chains');
 
 /**
  * Create tokens routes
@@ -11,15 +11,16 @@ const config = require('../config/tokens.config');
 module.exports = function(priceMonitor) {
   const router = express.Router();
 
-  // GET /api/tokens - List all configured tokens
+  // GET /api/tokens - List all configured tokens (every chain)
   router.get('/', (req, res) => {
-    const tokens = Object.entries(config.tokens).map(([address, tokenConfig]) => ({
+    const tokens = listChains().flatMap(chain => Object.entries(chain.tokens).map(([address, tokenConfig]) => ({
+      chainId: chain.chainId,
       address,
       symbol: tokenConfig.symbol,
       name: tokenConfig.name,
       decimals: tokenConfig.decimals,
       poolCount: tokenConfig.pools?.length || 0
-    }));
+    })));
 
     res.json({
       success: true,
@@ -39,10 +40,18 @@ module.exports = function(priceMonitor) {
     });
   });
 
-  // GET /api/tokens/:address - Get token info
+  // GET /api/tokens/:address - Get token info (`chainId:address` for other chains)
   router.get('/:address', (req, res) => {
-    const { address } = req.params;
-    const tokenConfig = config.tokens[address.toLowerCase()];
+    let chainId, address;
+    try {
+      ({ chainId, address } = parseChainKey(req.params.address));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    const tokenConfig = getChain(chainId).tokens[address];
 
     if (!tokenConfig) {
       return res.status(404).json({
@@ -54,6 +63,7 @@ module.exports = function(priceMonitor) {
     res.json({
       success: true,
       token: {
+        chainId,
         address,
         ...tokenConfig
       }
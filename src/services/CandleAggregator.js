@@ -0,0 +1,265 @@
+// src/services/CandleAggregator.js
+// OHLCV candle aggregation from live swap events
+
+const { CANDLE_INTERVALS } = require('../utils/constants');
+
+class CandleAggregator {
+  /**
+   * @param {Number} maxBars - Bars kept per interval
+   * @param {Number} journalSize - Recent trades per token that removeTrade can undo (0 disables)
+   */
+  constructor(maxBars = 1000, journalSize = 0) {
+    this.maxBars = maxBars;
+    this.journalSize = journalSize;
+    this.candles = new Map(); // tokenAddress → Map(interval → candle[])
+    this.journal = new Map(); // tokenAddress → [{ id, trade, snapshots: Map(interval → { time, candle }) }]
+  }
+
+  /**
+   * Add a trade to every interval for a token
+   * @param {String} tokenAddress - Token address
+   * @param {Object} trade - { price, amount, valueUSD, isBuy, timestamp }
+   * @param {String|null} id - Trade id for removeTrade (e.g. txHash:logIndex)
+   * @returns {Array} Updated candles as { interval, candle }
+   */
+  addTrade(tokenAddress, trade, id = null) {
+    if (!trade.price || trade.price <= 0) return [];
+
+    const key = tokenAddress.toLowerCase();
+    if (!this.candles.has(key)) {
+      this.candles.set(key, new Map());
+    }
+    const series = this.candles.get(key);
+    const updated = [];
+    const snapshots = new Map();
+
+    for (const [interval, intervalMs] of Object.entries(CANDLE_INTERVALS)) {
+      if (!series.has(interval)) {
+        series.set(interval, []);
+      }
+      const bars = series.get(interval);
+      const time = Math.floor(trade.timestamp / intervalMs) * intervalMs;
+      const before = this.journalSize > 0 ? this.findBar(bars, time) : null;
+      const snapshot = before ? { ...before } : null; // Copied before applyTrade mutates it
+      const candle = this.applyTrade(bars, intervalMs, trade);
+      if (candle) {
+        snapshots.set(interval, { time, candle: snapshot });
+        updated.push({ interval, candle: this.formatCandle(candle) });
+      }
+    }
+
+    if (this.journalSize > 0 && snapshots.size > 0) {
+      this.recordJournal(key, { id, trade, snapshots });
+    }
+
+    return updated;
+  }
+
+  findBar(bars, time) {
+    for (let index = bars.length - 1; index >= 0 && bars[index].time >= time; index--) {
+      if (bars[index].time === time) return bars[index];
+    }
+    return null;
+  }
+
+  recordJournal(key, entry) {
+    if (!this.journal.has(key)) {
+      this.journal.set(key, []);
+    }
+    const entries = this.journal.get(key);
+    entries.push(entry);
+    if (entries.length > this.journalSize) {
+      entries.shift();
+    }
+  }
+
+  /**
+   * Undo a journaled trade (e.g. one from a block dropped by a chain reorg):
+   * bars go back to their state before the trade, then the trades that
+   * followed it are applied again
+   * @param {String} tokenAddress - Token address
+   * @param {String} id - Id passed to addTrade
+   * @returns {Array|null} Touched bars as { interval, time, candle } (candle null when
+   *   the bar is gone), or null when the trade is no longer in the journal
+   */
+  removeTrade(tokenAddress, id) {
+    const key = tokenAddress.toLowerCase();
+    const entries = this.journal.get(key) || [];
+    const position = entries.findIndex(entry => entry.id === id);
+    const series = this.candles.get(key);
+    if (position === -1 || !series) return null;
+
+    const undone = entries.splice(position);
+    const touched = new Map(); // `${interval}:${time}` → { interval, time }
+
+    // Newest first, so every bar ends up in its state before the removed trade
+    for (const entry of [...undone].reverse()) {
+      for (const [interval, { time, candle }] of entry.snapshots) {
+        this.restoreBar(series.get(interval), time, candle);
+        touched.set(`${interval}:${time}`, { interval, time });
+      }
+    }
+
+    for (const entry of undone.slice(1)) {
+      const updates = this.addTrade(key, entry.trade, entry.id);
+      for (const { interval, candle } of updates) {
+        touched.set(`${interval}:${candle.time}`, { interval, time: candle.time });
+      }
+    }
+
+    return Array.from(touched.values()).map(({ interval, time }) => {
+      const candle = this.findBar(series.get(interval), time);
+      return { interval, time, candle: candle ? this.formatCandle(candle) : null };
+    });
+  }
+
+  restoreBar(bars, time, snapshot) {
+    let index = bars.length - 1;
+    while (index >= 0 && bars[index].time > time) {
+      index--;
+    }
+    const exists = index >= 0 && bars[index].time === time;
+
+    if (!snapshot) {
+      if (exists) bars.splice(index, 1);
+    } else if (exists) {
+      bars[index] = { ...snapshot };
+    } else {
+      bars.splice(index + 1, 0, { ...snapshot });
+    }
+  }
+
+  applyTrade(bars, intervalMs, trade) {
+    const time = Math.floor(trade.timestamp / intervalMs) * intervalMs;
+
+    // Walk back from the newest bar - trades almost always land in the last one
+    let index = bars.length - 1;
+    while (index >= 0 && bars[index].time > time) {
+      index--;
+    }
+
+    let candle = index >= 0 && bars[index].time === time ? bars[index] : null;
+
+    if (!candle) {
+      // Too old to fit in the retained window
+      if (bars.length >= this.maxBars && index < 0) return null;
+
+      candle = {
+        time,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: 0,
+        volumeUSD: 0,
+        buyVolumeUSD: 0,
+        sellVolumeUSD: 0,
+        trades: 0
+      };
+      bars.splice(index + 1, 0, candle);
+
+      if (bars.length > this.maxBars) {
+        bars.shift();
+      }
+    } else {
+      candle.high = Math.max(candle.high, trade.price);
+      candle.low = Math.min(candle.low, trade.price);
+      // Late trades (e.g. out-of-order events) only move open/close when they belong there
+      if (trade.timestamp < candle.firstTradeAt) {
+        candle.open = trade.price;
+      }
+      if (trade.timestamp >= candle.lastTradeAt) {
+        candle.close = trade.price;
+      }
+    }
+
+    candle.firstTradeAt = Math.min(candle.firstTradeAt ?? trade.timestamp, trade.timestamp);
+    candle.lastTradeAt = Math.max(candle.lastTradeAt ?? trade.timestamp, trade.timestamp);
+    candle.volume += trade.amount || 0;
+    candle.volumeUSD += trade.valueUSD || 0;
+    if (trade.isBuy) {
+      candle.buyVolumeUSD += trade.valueUSD || 0;
+    } else {
+      candle.sellVolumeUSD += trade.valueUSD || 0;
+    }
+    candle.trades++;
+
+    return candle;
+  }
+
+  /**
+   * Get the most recent candles for a token, oldest first
+   */
+  getCandles(tokenAddress, interval, limit = 500) {
+    const series = this.candles.get(tokenAddress.toLowerCase());
+    const bars = series?.get(interval) || [];
+    return bars.slice(-limit).map(candle => this.formatCandle(candle));
+  }
+
+  /**
+   * Rolling stats over a window, computed from bars of the given interval
+   * @param {String} tokenAddress - Token address
+   * @param {Number} windowMs - Window length in ms
+   * @param {String} interval - Candle interval to read (should be finer than the window)
+   * @param {Number} currentPrice - Latest price (defaults to the last close)
+   * @returns {Object} Price change %, high, low, buy/sell volume and trade count
+   */
+  getWindowStats(tokenAddress, windowMs, interval, currentPrice = null, now = Date.now()) {
+    const series = this.candles.get(tokenAddress.toLowerCase());
+    const bars = series?.get(interval) || [];
+    const start = now - windowMs;
+
+    const stats = {
+      priceChange: null,
+      high: null,
+      low: null,
+      volumeUSD: 0,
+      buyVolumeUSD: 0,
+      sellVolumeUSD: 0,
+      trades: 0
+    };
+
+    let referencePrice = null;
+    for (const bar of bars) {
+      if (bar.time < start) {
+        // Close of the last bar before the window is the reference price
+        referencePrice = bar.close;
+        continue;
+      }
+      if (referencePrice === null) {
+        referencePrice = bar.open;
+      }
+      stats.high = stats.high === null ? bar.high : Math.max(stats.high, bar.high);
+      stats.low = stats.low === null ? bar.low : Math.min(stats.low, bar.low);
+      stats.volumeUSD += bar.volumeUSD;
+      stats.buyVolumeUSD += bar.buyVolumeUSD;
+      stats.sellVolumeUSD += bar.sellVolumeUSD;
+      stats.trades += bar.trades;
+    }
+
+    const price = currentPrice || bars[bars.length - 1]?.close || null;
+    if (price && referencePrice) {
+      stats.priceChange = ((price - referencePrice) / referencePrice) * 100;
+      stats.high = Math.max(stats.high ?? price, price);
+      stats.low = Math.min(stats.low ?? price, price);
+    }
+
+    return stats;
+  }
+
+  formatCandle({ firstTradeAt, lastTradeAt, ...candle }) {
+    return candle;
+  }
+
+  removeToken(tokenAddress) {
+    this.candles.delete(tokenAddress.toLowerCase());
+    this.journal.delete(tokenAddress.toLowerCase());
+  }
+
+  clear() {
+    this.candles.clear();
+    this.journal.clear();
+  }
+}
+
+module.exports = CandleAggregator;
@@ -0,0 +1,229 @@
+// src/services/LogPoller.js
+// Contract events of every monitored pool from one eth_getLogs request per poll (HTTP-only RPC)
+
+const config = require('../config/tokens.config');
+
+class LogPoller {
+  /**
+   * @param {Function} getProvider - Returns the current provider (it changes on failover)
+   * @param {Object} options - { onError(error) }
+   */
+  constructor(getProvider, { onError = () => {} } = {}) {
+    this.getProvider = getProvider;
+    this.onError = onError;
+    this.subscriptions = new Set(); // { address, topics, listener } registered by Contract.on
+    this.lastBlock = null; // Last block whose logs were delivered
+    this.delivered = new Set(); // blockHash:logIndex of recent logs, not delivered twice after a rewind
+    this.rewinds = 0;
+    this.polling = null;
+    this.pollAgain = false; // A poll was requested while one was running
+    this.timer = null;
+    this.stats = { polls: 0, logs: 0, errors: 0, rewinds: 0 };
+
+    // Provider API of the current provider, except that contract event subscriptions
+    // are served by this poller instead of one ethers filter per pool and event
+    const poller = this;
+    this.provider = new Proxy({}, {
+      get(_, prop) {
+        if (prop === 'on') {
+          return async (filter, listener) => {
+            poller.subscribe(filter, listener);
+            return poller.provider;
+          };
+        }
+        if (prop === 'off') {
+          return async (filter, listener) => {
+            poller.unsubscribe(filter, listener);
+            return poller.provider;
+          };
+        }
+        const provider = poller.getProvider();
+        const value = provider?.[prop];
+        return typeof value === 'function' ? value.bind(provider) : value;
+      }
+    });
+  }
+
+  /**
+   * ethers ContractRunner for listener contracts: `new ethers.Contract(address, abi, poller.runner)`
+   */
+  get runner() {
+    return { provider: this.provider };
+  }
+
+  subscribe(filter, listener) {
+    this.subscriptions.add({
+      address: String(filter.address).toLowerCase(),
+      topics: (filter.topics || []).map(topic => {
+        if (topic == null) return null;
+        return Array.isArray(topic) ? topic.map(t => t.toLowerCase()) : topic.toLowerCase();
+      }),
+      listener
+    });
+  }
+
+  unsubscribe(filter, listener) {
+    for (const subscription of this.subscriptions) {
+      if (subscription.listener === listener) {
+        this.subscriptions.delete(subscription);
+      }
+    }
+  }
+
+  matches(subscription, log) {
+    if (log.address.toLowerCase() !== subscription.address) return false;
+    return subscription.topics.every((topic, i) => {
+      if (topic === null) return true;
+      const logTopic = log.topics[i]?.toLowerCase();
+      return Array.isArray(topic) ? topic.includes(logTopic) : topic === logTopic;
+    });
+  }
+
+  // ==================== POLLING ====================
+
+  /**
+   * Deliver logs from the block after fromBlock on; with logPollInterval 0 the caller
+   * polls on every new block, otherwise a timer polls every logPollInterval ms
+   * @param {Number} fromBlock - Last block already delivered by another transport
+   */
+  start(fromBlock) {
+    if (this.lastBlock === null) {
+      this.lastBlock = fromBlock;
+    }
+
+    const { logPollInterval } = config.settings;
+    if (logPollInterval > 0 && !this.timer) {
+      this.timer = setInterval(() => {
+        this.poll().catch(() => {});
+      }, logPollInterval);
+    }
+  }
+
+  /**
+   * Fetch and deliver logs up to toBlock (default the current head); calls made
+   * while a poll runs are merged into one more poll up to the head
+   */
+  async poll(toBlock = null) {
+    if (this.lastBlock === null) return;
+
+    if (this.polling) {
+      this.pollAgain = true;
+      return this.polling;
+    }
+
+    this.polling = (async () => {
+      await this.pollRange(toBlock);
+      while (this.pollAgain) {
+        this.pollAgain = false;
+        await this.pollRange(null);
+      }
+    })();
+
+    try {
+      await this.polling;
+    } finally {
+      this.polling = null;
+    }
+  }
+
+  async pollRange(toBlock) {
+    const provider = this.getProvider();
+    if (!provider) return;
+
+    try {
+      const head = toBlock ?? await provider.getBlockNumber();
+      if (this.lastBlock === null || head <= this.lastBlock) return;
+
+      let fromBlock = this.lastBlock + 1;
+      const { backfillMaxBlocks, backfillChunkSize } = config.settings;
+      if (backfillMaxBlocks && head - fromBlock >= backfillMaxBlocks) {
+        console.warn(`   ⚠️  Log polling: blocks ${fromBlock}-${head - backfillMaxBlocks} are older than backfillMaxBlocks and skipped`);
+        fromBlock = head - backfillMaxBlocks + 1;
+      }
+
+      const addresses = [...new Set(Array.from(this.subscriptions, s => s.address))];
+      const rewinds = this.rewinds;
+      this.stats.polls++;
+
+      // Block ranges are capped per request like the backfill; the cursor advances
+      // per chunk so a failed request is retried from where it stopped
+      for (let start = fromBlock; start <= head; start += backfillChunkSize) {
+        const end = Math.min(start + backfillChunkSize - 1, head);
+        const logs = addresses.length > 0
+          ? await provider.getLogs({ address: addresses, fromBlock: start, toBlock: end })
+          : [];
+        // Stopped meanwhile, or rewound (the rerun reads the range again)
+        if (this.lastBlock === null || this.rewinds !== rewinds) return;
+
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        this.deliver(logs);
+        this.lastBlock = end;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      this.onError(error);
+    }
+  }
+
+  deliver(logs) {
+    for (const log of logs) {
+      const key = `${log.blockHash}:${log.index}`;
+      if (log.removed || this.delivered.has(key)) continue;
+      this.stats.logs++;
+
+      this.delivered.add(key);
+      if (this.delivered.size > 5000) {
+        // Sets iterate in insertion order - drop the oldest
+        this.delivered.delete(this.delivered.values().next().value);
+      }
+
+      // Snapshot: a listener may subscribe or unsubscribe while logs are delivered
+      for (const subscription of Array.from(this.subscriptions)) {
+        if (!this.matches(subscription, log)) continue;
+        try {
+          subscription.listener(log);
+        } catch (error) {
+          this.onError(error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Read the blocks after blockNumber again (reorg: polling never delivers removed logs,
+   * so the replacement blocks are fetched anew); logs delivered before from the same
+   * block are skipped
+   */
+  rewind(blockNumber) {
+    if (this.lastBlock === null || this.lastBlock <= blockNumber) return;
+
+    this.lastBlock = blockNumber;
+    this.rewinds++;
+    this.stats.rewinds++;
+    if (this.polling) {
+      this.pollAgain = true;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      lastBlock: this.lastBlock,
+      subscriptions: this.subscriptions.size
+    };
+  }
+
+  /**
+   * Stop polling; subscriptions are kept (listener contracts remove their own) and
+   * the next start() resumes from the given block
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.lastBlock = null;
+  }
+}
+
+module.exports = LogPoller;
@@ -510,6 +510,19 @@ class MempoolMonitor {
     };
   }
 
+  /**
+   * Move the pending transaction subscription to a new provider (RPC failover)
+   */
+  async setProvider(provider) {
+    const wasMonitoring = this.isMonitoring;
+    this.stopMonitoring();
+    this.provider = provider;
+
+    if (wasMonitoring && this.monitoredPools.size > 0) {
+      await this.startMonitoring();
+    }
+  }
+
   /**
    * Cleanup on shutdown
    */
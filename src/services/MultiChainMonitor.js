@@ -0,0 +1,233 @@
+// src/services/MultiChainMonitor.js
+// One PriceMonitor per enabled chain behind the API used by routes and sockets
+
+const PriceMonitor = require('./PriceMonitor');
+const { MetricsCollector } = require('./PriceMonitor');
+const { defaultChainId, getChain, listChains, parseChainKey } = require('../utils/chains');
+
+class MultiChainMonitor {
+  constructor(io, swapClient = null) {
+    this.io = io;
+    this.swapClient = swapClient;
+    this.monitors = new Map(); // chainId → PriceMonitor
+    // Counters and errors are shared by every chain
+    this.metrics = new MetricsCollector();
+  }
+
+  // ==================== INITIALIZATION ====================
+
+  /**
+   * Start a monitor for every chain whose WebSocket or HTTP RPC URL is configured
+   * (a required chain that fails to start stops the service, others are skipped)
+   */
+  async initialize() {
+    for (const chain of listChains()) {
+      if (!chain.required && !process.env[chain.wssUrlEnv] && !process.env[chain.rpcUrlEnv]) {
+        console.log(`ℹ️  ${chain.name} disabled (set ${chain.wssUrlEnv} or ${chain.rpcUrlEnv} to enable)`);
+        continue;
+      }
+
+      const monitor = new PriceMonitor(this.io, this.swapClient, { chain, metrics: this.metrics });
+      try {
+        await monitor.initialize();
+        this.monitors.set(chain.chainId, monitor);
+      } catch (error) {
+        if (chain.required) throw error;
+        console.error(`❌ ${chain.name} disabled: ${error.message}`);
+        await monitor.stop();
+      }
+    }
+
+    console.log(`⛓️  Chains: ${Array.from(this.monitors.values()).map(m => `${m.chain.name} (${m.chainId})`).join(', ')}`);
+    return true;
+  }
+
+  // ==================== CHAIN LOOKUP ====================
+
+  getMonitor(chainId = defaultChainId) {
+    const monitor = this.monitors.get(Number(chainId));
+    if (!monitor) {
+      const chain = getChain(chainId);
+      throw new Error(chain
+        ? `${chain.name} is not enabled (set ${chain.wssUrlEnv} or ${chain.rpcUrlEnv})`
+        : `Unknown chain: ${chainId}`);
+    }
+    return monitor;
+  }
+
+  /**
+   * Monitor and address for a `chainId:address` key (bare addresses use chainId or the default chain)
+   */
+  resolve(key, chainId = undefined) {
+    const parsed = parseChainKey(key, chainId);
+    return { ...parsed, monitor: this.getMonitor(parsed.chainId) };
+  }
+
+  listMonitors() {
+    return Array.from(this.monitors.values());
+  }
+
+  /**
+   * Connection, RPC endpoints, token count and native price of every running chain
+   */
+  getChainsInfo() {
+    return this.listMonitors().map(monitor => ({
+      chainId: monitor.chainId,
+      key: monitor.chain.key,
+      name: monitor.chain.name,
+      connected: monitor.isConnected,
+      providers: monitor.providerPool.getStatus(),
+      eventTransport: monitor.eventTransport,
+      monitoredTokens: monitor.monitoredTokens.size,
+      nativePrice: monitor.getBNBPriceInfo()
+    }));
+  }
+
+  // ==================== TOKENS ====================
+
+  async addToken(key, chainId) {
+    const { monitor, address } = this.resolve(key, chainId);
+    return monitor.addToken(address);
+  }
+
+  /**
+   * Tokens are grouped per chain (`chainId` field or `chainId:` prefix on tokenAddress)
+   */
+  async addDynamicTokens(tokensArray) {
+    const results = [];
+    const byChain = new Map();
+
+    for (const tokenInput of tokensArray) {
+      try {
+        const { monitor, chainId, address } = this.resolve(tokenInput.tokenAddress, tokenInput.chainId);
+        if (!byChain.has(chainId)) {
+          byChain.set(chainId, { monitor, inputs: [] });
+        }
+        byChain.get(chainId).inputs.push({ ...tokenInput, tokenAddress: address });
+      } catch (error) {
+        results.push({
+          success: false,
+          tokenAddress: tokenInput.tokenAddress,
+          error: error.message
+        });
+      }
+    }
+
+    // Chains load side by side (each has its own RPC and multicall batcher)
+    const chainResults = await Promise.all(Array.from(byChain, async ([chainId, { monitor, inputs }]) => {
+      const added = await monitor.addDynamicTokens(inputs);
+      return added.map(result => ({ chainId, ...result }));
+    }));
+    results.push(...chainResults.flat());
+
+    return results;
+  }
+
+  removeDynamicToken(key) {
+    const { monitor, address } = this.resolve(key);
+    return monitor.removeDynamicToken(address);
+  }
+
+  isMonitored(key) {
+    const { monitor, address } = this.resolve(key);
+    return monitor.isMonitored(address);
+  }
+
+  async discoverPools(key) {
+    const { monitor, chainId, address } = this.resolve(key);
+    return { chainId, ...await monitor.discoverPools(address) };
+  }
+
+  getMonitoredTokens() {
+    return this.listMonitors().flatMap(monitor => monitor.getMonitoredTokens());
+  }
+
+  // ==================== PRICES ====================
+
+  getTokenPrice(key) {
+    const { monitor, address } = this.resolve(key);
+    return monitor.getTokenPrice(address);
+  }
+
+  getCachedPrices() {
+    return this.listMonitors().flatMap(monitor => monitor.getCachedPrices());
+  }
+
+  getCandles(key, interval, limit) {
+    const { monitor, address } = this.resolve(key);
+    return monitor.getCandles(address, interval, limit);
+  }
+
+  async getPriceHistory(key, options) {
+    const { monitor, address } = this.resolve(key);
+    return monitor.getPriceHistory(address, options);
+  }
+
+  getQuote(key, { side, amountIn, pool = null }) {
+    const { monitor, chainId, address } = this.resolve(key);
+    return monitor.getQuote(address, {
+      side,
+      amountIn,
+      pool: pool ? parseChainKey(pool, chainId).address : null
+    });
+  }
+
+  /**
+   * Pool keys without a chain prefix are looked up on every chain
+   */
+  getPoolDepth(poolKey, range, step) {
+    if (String(poolKey).includes(':')) {
+      const { monitor, address } = this.resolve(poolKey);
+      return monitor.getPoolDepth(address, range, step);
+    }
+
+    for (const monitor of this.listMonitors()) {
+      const depth = monitor.getPoolDepth(poolKey.toLowerCase(), range, step);
+      if (depth) return depth;
+    }
+    return null;
+  }
+
+  /**
+   * Native price of the default chain (per-chain prices are in getChainsInfo)
+   */
+  getBNBPriceInfo() {
+    return this.monitors.get(defaultChainId)?.getBNBPriceInfo() || null;
+  }
+
+  getMetrics() {
+    return this.monitors.get(defaultChainId)?.getMetrics() || this.metrics.getStats();
+  }
+
+  // ==================== SWAP CONFIRMATION INTEGRATION ====================
+
+  async startSwapListener({ chainId, tokenAddress, ...params }) {
+    const resolved = this.resolve(tokenAddress, chainId);
+    return resolved.monitor.startSwapListener({ tokenAddress: resolved.address, ...params });
+  }
+
+  stopSwapListener(key, chainId) {
+    const { monitor, address } = this.resolve(key, chainId);
+    return monitor.stopSwapListener(address);
+  }
+
+  getSwapListener(key, chainId) {
+    const { monitor, address } = this.resolve(key, chainId);
+    return monitor.getSwapListener(address);
+  }
+
+  getActiveSwapListeners() {
+    return this.listMonitors().flatMap(monitor => monitor.getActiveSwapListeners());
+  }
+
+  // ==================== SHUTDOWN ====================
+
+  async stop() {
+    for (const monitor of this.listMonitors()) {
+      await monitor.stop();
+    }
+    this.monitors.clear();
+  }
+}
+
+module.exports = MultiChainMonitor;
@@ -0,0 +1,152 @@
+// src/services/MulticallBatcher.js
+// Batches read-only eth_call requests into Multicall3 aggregate3 calls
+
+const { ethers } = require('ethers');
+
+// Same address on every EVM chain (https://www.multicall3.com)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+class MulticallBatcher {
+  /**
+   * @param {Function} getProvider - Returns the current provider (it changes on failover)
+   * @param {Object} options - { windowMs, maxCalls, address }
+   *   Calls made within windowMs of each other share a request of at most maxCalls calls
+   */
+  constructor(getProvider, { windowMs = 0, maxCalls = 100, address = MULTICALL3_ADDRESS } = {}) {
+    this.getProvider = getProvider;
+    this.windowMs = windowMs;
+    this.maxCalls = maxCalls;
+    this.address = address;
+    this.iface = new ethers.Interface(MULTICALL3_ABI);
+    this.pending = []; // { target, callData, resolve, reject }
+    this.timer = null;
+    this.stats = { calls: 0, batches: 0, fallbacks: 0 };
+  }
+
+  /**
+   * ethers ContractRunner for read-only contracts: `new ethers.Contract(address, abi, batcher.runner)`
+   */
+  get runner() {
+    const batcher = this;
+    return {
+      get provider() {
+        return batcher.getProvider();
+      },
+      call: (tx) => batcher.call(tx)
+    };
+  }
+
+  /**
+   * Queue an eth_call; calls with a sender, value or block tag go straight to the provider
+   * @param {Object} tx - { to, data }
+   * @returns {Promise<String>} Return data
+   */
+  call(tx) {
+    if (!tx.to || !tx.data || tx.from || tx.value || tx.blockTag !== undefined) {
+      return this.getProvider().call(tx);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ target: tx.to, callData: tx.data, resolve, reject });
+
+      if (this.pending.length >= this.maxCalls) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.pending.length > 0) {
+      this.execute(this.pending.splice(0, this.maxCalls)).catch(() => {});
+    }
+  }
+
+  /**
+   * Send one batch; every queued call is settled, also when no request could be sent
+   */
+  async execute(calls) {
+    try {
+      await this.executeBatch(calls);
+    } catch (error) {
+      // No provider yet, or it threw before returning a promise (settled calls ignore this)
+      for (const { reject } of calls) {
+        reject(error);
+      }
+    }
+  }
+
+  async executeBatch(calls) {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new Error('Multicall batcher has no provider');
+    }
+    this.stats.calls += calls.length;
+
+    // A lone call gains nothing from the aggregate
+    if (calls.length === 1) {
+      const [{ target, callData, resolve, reject }] = calls;
+      provider.call({ to: target, data: callData }).then(resolve, reject);
+      return;
+    }
+
+    let results;
+    try {
+      this.stats.batches++;
+      const data = await provider.call({
+        to: this.address,
+        data: this.iface.encodeFunctionData('aggregate3', [
+          calls.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+        ])
+      });
+      [results] = this.iface.decodeFunctionResult('aggregate3', data);
+    } catch (error) {
+      // Multicall3 not deployed or the batch was rejected (e.g. gas cap) - one request per call
+      this.stats.fallbacks++;
+      for (const { target, callData, resolve, reject } of calls) {
+        provider.call({ to: target, data: callData }).then(resolve, reject);
+      }
+      return;
+    }
+
+    calls.forEach(({ target, callData, resolve, reject }, i) => {
+      const [success, returnData] = results[i];
+      if (success) {
+        resolve(returnData);
+      } else {
+        // Same shape as a provider revert, so Contract decodes custom errors and reasons
+        reject(ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+          action: 'call',
+          data: returnData,
+          reason: null,
+          transaction: { to: target, data: callData },
+          invocation: null,
+          revert: null
+        }));
+      }
+    });
+  }
+
+  getStats() {
+    return { ...this.stats, pending: this.pending.length };
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const { reject } of this.pending.splice(0)) {
+      reject(new Error('Multicall batcher stopped'));
+    }
+  }
+}
+
+module.exports = MulticallBatcher;
+module.exports.MULTICALL3_ADDRESS = MULTICALL3_ADDRESS;
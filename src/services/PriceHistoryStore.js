@@ -0,0 +1,240 @@
+// src/services/PriceHistoryStore.js
+// Pluggable price/swap history storage (in-memory or append-only JSONL files)
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+/**
+ * Keep only the last price record per resolution bucket
+ * @param {Array} records - Price records sorted by time
+ * @param {Number} resolutionMs - Bucket size in ms
+ * @returns {Array} Downsampled records
+ */
+const downsampleRecords = (records, resolutionMs) => {
+  const buckets = new Map();
+  for (const record of records) {
+    buckets.set(Math.floor(record.t / resolutionMs), record);
+  }
+  return Array.from(buckets.values());
+};
+
+/**
+ * txHash:logIndex of swaps undone by a chain reorg (`swap-retracted` records)
+ * @param {Array} records - Records of one token
+ * @returns {Set} Retracted swap keys
+ */
+const retractedSwaps = (records) => new Set(records
+  .filter(r => r.type === 'swap-retracted')
+  .map(r => `${r.txHash}:${r.logIndex}`));
+
+/**
+ * Records of one type in a time range; retracted swaps are left out
+ * @param {Array} records - Records of one token
+ * @param {Object} options - { from, to, type }
+ * @returns {Array} Matching records
+ */
+const filterRecords = (records, { from, to, type }) => {
+  const retracted = type === 'swap' ? retractedSwaps(records) : new Set();
+  return records.filter(r => r.type === type && r.t >= from && r.t <= to
+    && !retracted.has(`${r.txHash}:${r.logIndex}`));
+};
+
+/**
+ * Apply retention and downsampling rules to one token's records
+ * @param {Array} records - All records for a token, sorted by time
+ * @param {Object} settings - History settings from config
+ * @param {Number} now - Current time in ms
+ * @returns {Array} Records to keep
+ */
+const compactRecords = (records, settings, now) => {
+  const kept = records.filter(r => now - r.t <= settings.historyRetention);
+  // Retracted swaps are dropped together with their retraction records
+  const retracted = retractedSwaps(records);
+  const swaps = kept.filter(r => r.type === 'swap' && !retracted.has(`${r.txHash}:${r.logIndex}`));
+  let prices = kept.filter(r => r.type === 'price');
+
+  // Coarsest rule first, each applies to records older than its `after`
+  const rules = [...(settings.historyDownsampling || [])].sort((a, b) => b.after - a.after);
+  let boundary = Infinity;
+  const compacted = [];
+  for (const rule of rules) {
+    const older = prices.filter(r => now - r.t > rule.after && now - r.t <= boundary);
+    compacted.push(...downsampleRecords(older, rule.resolution));
+    boundary = rule.after;
+  }
+  prices = [...compacted, ...prices.filter(r => now - r.t <= boundary)];
+
+  return [...prices, ...swaps].sort((a, b) => a.t - b.t);
+};
+
+// Non-persistent backend (history lost on restart)
+class MemoryHistoryStore {
+  constructor(settings) {
+    this.settings = settings;
+    this.records = new Map(); // tokenAddress → record[]
+  }
+
+  async init() {}
+
+  append(tokenAddress, record) {
+    const key = tokenAddress.toLowerCase();
+    if (!this.records.has(key)) {
+      this.records.set(key, []);
+    }
+    this.records.get(key).push(record);
+  }
+
+  async query(tokenAddress, { from = 0, to = Date.now(), type = 'price' } = {}) {
+    const records = this.records.get(tokenAddress.toLowerCase()) || [];
+    return filterRecords(records, { from, to, type });
+  }
+
+  async compact(now = Date.now()) {
+    for (const [key, records] of this.records) {
+      this.records.set(key, compactRecords(records, this.settings, now));
+    }
+  }
+
+  async close() {}
+}
+
+// Append-only JSONL file per token, buffered and flushed on an interval
+class FileHistoryStore {
+  constructor(settings) {
+    this.settings = settings;
+    this.dir = path.resolve(settings.historyDir);
+    this.pending = new Map(); // tokenAddress → serialized lines
+    this.queue = Promise.resolve(); // Serializes file operations
+    this.flushTimer = null;
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(err => console.error('History flush error:', err.message));
+    }, this.settings.historyFlushInterval);
+  }
+
+  filePath(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (!ADDRESS_PATTERN.test(key)) {
+      throw new Error(`Invalid token address: ${tokenAddress}`);
+    }
+    return path.join(this.dir, `${key}.jsonl`);
+  }
+
+  append(tokenAddress, record) {
+    const key = tokenAddress.toLowerCase();
+    if (!this.pending.has(key)) {
+      this.pending.set(key, []);
+    }
+    this.pending.get(key).push(JSON.stringify(record));
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  flush() {
+    return this.enqueue(async () => {
+      const batches = Array.from(this.pending.entries());
+      this.pending.clear();
+
+      for (const [key, lines] of batches) {
+        await fs.promises.appendFile(this.filePath(key), lines.join('\n') + '\n');
+      }
+    });
+  }
+
+  async readRecords(tokenAddress) {
+    const file = this.filePath(tokenAddress);
+    if (!fs.existsSync(file)) return [];
+
+    const records = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a partially written line
+      }
+    }
+
+    return records;
+  }
+
+  async query(tokenAddress, { from = 0, to = Date.now(), type = 'price' } = {}) {
+    await this.flush();
+    const records = await this.enqueue(() => this.readRecords(tokenAddress));
+    return filterRecords(records, { from, to, type });
+  }
+
+  async compact(now = Date.now()) {
+    await this.flush();
+
+    const files = await fs.promises.readdir(this.dir);
+    for (const file of files.filter(f => f.endsWith('.jsonl'))) {
+      const tokenAddress = file.replace('.jsonl', '');
+
+      await this.enqueue(async () => {
+        const records = await this.readRecords(tokenAddress);
+        const kept = compactRecords(records.sort((a, b) => a.t - b.t), this.settings, now);
+        const target = this.filePath(tokenAddress);
+
+        if (kept.length === 0) {
+          await fs.promises.unlink(target);
+          return;
+        }
+
+        // Write then rename so a crash never leaves a truncated file
+        const tmp = `${target}.tmp`;
+        await fs.promises.writeFile(tmp, kept.map(r => JSON.stringify(r)).join('\n') + '\n');
+        await fs.promises.rename(tmp, target);
+      });
+    }
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+/**
+ * Create the history store selected by `historyBackend`
+ * @param {Object} settings - config.settings
+ * @returns {MemoryHistoryStore|FileHistoryStore|null} Store, or null when disabled
+ */
+const createHistoryStore = (settings) => {
+  switch (settings.historyBackend) {
+    case 'file':
+      return new FileHistoryStore(settings);
+    case 'memory':
+      return new MemoryHistoryStore(settings);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown history backend: ${settings.historyBackend}`);
+  }
+};
+
+module.exports = {
+  MemoryHistoryStore,
+  FileHistoryStore,
+  createHistoryStore,
+  downsampleRecords
+};
@@ -1,21 +1,46 @@
 // src/services/PriceMonitor.js
 // Production-ready price monitoring service
 
+const path = require('path');
 const { ethers } = require('ethers');
 const config = require('../config/tokens.config');
 const MempoolMonitor = require('./MempoolMonitor');
-
-// Cache for last prices only
+const CandleAggregator = require('./CandleAggregator');
+const MulticallBatcher = require('./MulticallBatcher');
+const LogPoller = require('./LogPoller');
+const PriceRouter = require('./PriceRouter');
+const TokenMetadataStore = require('./TokenMetadataStore');
+const ProviderPool = require('./ProviderPool');
+const { createHistoryStore } = require('./PriceHistoryStore');
+const { createAdapterRegistry } = require('../adapters');
+const { CANDLE_INTERVALS, STATS_WINDOWS, STABLECOINS } = require('../utils/constants');
+const { defaultChainId, getChain, toChainKey } = require('../utils/chains');
+const { formatPercentage } = require('../utils/formatters');
+const { getV2AmountOut, simulateV3Swap, getV3AmountsToPrice } = require('../utils/swapMath');
+
+// Cache for last prices, recording every price into the history store (if any)
 class LastPriceCache {
-  constructor() {
+  constructor(historyStore = null) {
     this.prices = new Map();
+    this.historyStore = historyStore;
   }
   
   set(tokenAddress, priceData) {
+    const cachedAt = Date.now();
     this.prices.set(tokenAddress.toLowerCase(), {
       ...priceData,
-      cachedAt: Date.now()
+      cachedAt
     });
+
+    if (this.historyStore && priceData.priceUSD > 0) {
+      this.historyStore.append(tokenAddress, {
+        t: cachedAt,
+        type: 'price',
+        priceUSD: priceData.priceUSD,
+        priceBNB: priceData.priceBNB,
+        poolCount: priceData.poolCount
+      });
+    }
   }
   
   get(tokenAddress) {
@@ -29,6 +54,10 @@ class LastPriceCache {
     }));
   }
   
+  delete(tokenAddress) {
+    this.prices.delete(tokenAddress.toLowerCase());
+  }
+  
   clear() {
     this.prices.clear();
   }
@@ -44,6 +73,9 @@ class MetricsCollector {
       apiRequests: 0,
       wsConnections: 0,
       eventsReceived: 0,
+      liquidityEvents: 0,
+      swapsRetracted: 0,
+      outliersExcluded: 0,
       errors: [],
       startTime: Date.now()
     };
@@ -79,22 +111,75 @@ class MetricsCollector {
 }
 
 class PriceMonitor {
-  constructor(io, swapClient = null) {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {Object} swapClient - Swap Microservice client (optional)
+   * @param {Object} options - { chain: registry entry (default chain), metrics: shared MetricsCollector }
+   */
+  constructor(io, swapClient = null, { chain = getChain(), metrics = null } = {}) {
     this.io = io;
+    this.chain = chain;
+    this.chainId = chain.chainId;
     this.provider = null;
+    // WSS/HTTP endpoints with health scoring; listeners move to the new provider on failover
+    this.providerPool = new ProviderPool(chain, {
+      onSwitch: (provider, endpoint) => this.handleProviderSwitch(provider, endpoint),
+      onDown: () => {
+        this.isConnected = false;
+        this.handleReconnection();
+      },
+      // Push subscriptions first, HTTP log polling only as the fallback
+      preferTransport: config.settings.eventTransport === 'polling' ? null : 'wss'
+    });
+    // Pool events in polling mode: one eth_getLogs for every pool instead of a filter per pool
+    this.logPoller = new LogPoller(() => this.provider, {
+      onError: (error) => {
+        console.error('Log polling error:', error.message);
+        this.metrics.addError(error);
+      }
+    });
+    this.eventTransport = null; // 'wss' (contract subscriptions) or 'polling' (logPoller)
+    // Read-only contracts use this runner: their eth_calls are batched through Multicall3
+    this.multicall = new MulticallBatcher(() => this.provider, {
+      windowMs: config.settings.multicallWindow,
+      maxCalls: config.settings.multicallMaxCalls
+    });
+    this.reader = this.multicall.runner;
     this.monitoredTokens = new Map();
+    this.tokenOnboarding = new Map(); // tokenAddress → settles when its addDynamicTokens entry finishes
     this.poolContracts = new Map();
     this.activeListeners = new Map(); // Track listeners for cleanup
-    this.bnbPrice = config.settings.defaultBnbPrice;
+    this.bnbPrice = chain.defaultNativePrice ?? config.settings.defaultBnbPrice; // Native token price (ETH on Base)
+    this.bnbPriceSource = 'fallback'; // 'pools', 'chainlink', 'pools+chainlink' or 'fallback'
+    this.bnbPriceUpdatedAt = null; // Time of the oldest source behind bnbPrice
     this.lastBnbPriceUpdate = 0;
     this.agentTokenPrices = new Map();
     this.agentPriceUpdates = new Map();
     this.reconnectAttempts = 0;
     this.isConnected = false;
+    this.isStopped = false;
+    this.lastBlock = null; // Latest head seen on the active provider
+    this.poolCursors = new Map(); // poolAddress → { blockNumber, logIndex } of the last processed swap
+    this.processedSwapLogs = new Set(); // tokenAddress:txHash:logIndex of recent swaps, so a backfill never repeats one
+    this.recentSwaps = new Map(); // tokenAddress:txHash:logIndex → broadcast swap not yet reorgDepth blocks deep
+    this.reorgCheck = null; // In-flight block hash check
+    this.poolReloads = new Map(); // poolAddress → in-flight state reload after a reorg
+    this.blockBatches = new Map(); // blockNumber → swaps of the block, per token, until the block closes
 
     // New additions
-    this.priceCache = new LastPriceCache();
-    this.metrics = new MetricsCollector();
+    // Other chains keep their history in a subdirectory named after the chain id
+    this.historyStore = createHistoryStore(this.chainId === defaultChainId
+      ? config.settings
+      : { ...config.settings, historyDir: path.join(config.settings.historyDir, String(this.chainId)) });
+    this.priceCache = new LastPriceCache(this.historyStore);
+    this.tokenMetadata = new TokenMetadataStore(config.settings.tokenMetadataDir
+      ? path.join(config.settings.tokenMetadataDir, `${this.chainId}.json`)
+      : null);
+    this.metrics = metrics || new MetricsCollector();
+    this.candleAggregator = new CandleAggregator(config.settings.candleMaxBars, config.settings.reorgJournalSize);
+    this.priceRouter = new PriceRouter(config.settings.routeMaxHops);
+    this.adapters = createAdapterRegistry(config.settings);
+    this.adapterContext = this.createAdapterContext();
 
     // Swap confirmation tracking
     this.swapClient = swapClient;
@@ -108,10 +193,22 @@ class PriceMonitor {
   
   async initialize() {
     try {
-      console.log('🚀 Initializing Price Monitor Service with All Improvements');
+      console.log(`🚀 Initializing Price Monitor Service for ${this.chain.name}`);
       console.log('=' .repeat(50));
       
       await this.connectWebSocket();
+      await this.tokenMetadata.init();
+
+      if (this.historyStore) {
+        await this.historyStore.init();
+        this.historyCompactInterval = setInterval(() => {
+          this.historyStore.compact().catch(err => {
+            console.error('History compaction error:', err);
+            this.metrics.addError(err);
+          });
+        }, config.settings.historyCompactInterval);
+        console.log(`🗄️  Price history: ${config.settings.historyBackend} backend`);
+      }
 
       // Initialize mempool monitor for instant swap detection (if swap client available)
       if (this.swapClient) {
@@ -136,6 +233,20 @@ class PriceMonitor {
           this.metrics.addError(err);
         });
       }, config.settings.updateAgentPriceInterval);
+
+      this.twapInterval = setInterval(() => {
+        this.updateAllTwaps().catch(err => {
+          console.error('TWAP update error:', err);
+          this.metrics.addError(err);
+        });
+      }, config.settings.twapUpdateInterval);
+
+      this.supplyInterval = setInterval(() => {
+        this.updateAllSupplies().catch(err => {
+          console.error('Supply update error:', err);
+          this.metrics.addError(err);
+        });
+      }, config.settings.updateSupplyInterval);
       
       console.log('✅ Price Monitor initialized successfully\n');
       return true;
@@ -147,46 +258,26 @@ class PriceMonitor {
     }
   }
   
+  /**
+   * Connect to the healthiest configured endpoint (WSS or HTTP, see ProviderPool)
+   */
   async connectWebSocket() {
     try {
-      const wssUrl = process.env.WSS_URL;
-      if (!wssUrl || wssUrl.includes('YOUR_')) {
-        throw new Error('Please configure WSS_URL in .env file with your Alchemy key');
-      }
-      
-      console.log('🌐 Connecting to WebSocket...');
-      this.provider = new ethers.WebSocketProvider(wssUrl);
-      
-      // Setup event handlers
-      this.provider.on('block', (blockNumber) => {
-        if (config.settings.enableDebugLogs && blockNumber % 10 === 0) {
-          console.log(`⛓️ Block ${blockNumber}`);
-        }
-      });
-      
-      this.provider.websocket.on('open', () => {
-        this.isConnected = true;
-        this.reconnectAttempts = 0;
-        console.log('✅ WebSocket connected');
-      });
-      
-      this.provider.websocket.on('error', (error) => {
-        console.error('❌ WebSocket error:', error.message);
-        this.metrics.addError(error);
-      });
-      
-      this.provider.websocket.on('close', () => {
-        this.isConnected = false;
-        console.log('❌ WebSocket disconnected');
-        this.handleReconnection();
-      });
-      
-      // Verify connection
-      const network = await this.provider.getNetwork();
+      console.log(`🌐 Connecting to ${this.chain.name} RPC...`);
+      this.provider = await this.providerPool.connect();
+      this.eventTransport = this.selectEventTransport(this.providerPool.active);
+      this.attachProviderHandlers(this.provider);
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+
       const blockNumber = await this.provider.getBlockNumber();
-      
-      console.log(`✅ Connected to ${network.name} (Chain ID: ${network.chainId})`);
+      this.lastBlock = blockNumber;
+      if (this.eventTransport === 'polling') {
+        this.logPoller.start(blockNumber);
+      }
+      console.log(`✅ Connected to ${this.chain.name} (Chain ID: ${this.chainId})`);
       console.log(`📦 Current block: ${blockNumber}`);
+      console.log(`📡 Pool events: ${this.describeEventTransport()}`);
       
     } catch (error) {
       console.error('Connection failed:', error.message);
@@ -194,8 +285,73 @@ class PriceMonitor {
       throw error;
     }
   }
-  
+
+  attachProviderHandlers(provider) {
+    provider.on('block', (blockNumber) => {
+      this.lastBlock = blockNumber;
+      if (this.eventTransport === 'polling' && !config.settings.logPollInterval) {
+        this.logPoller.poll(blockNumber);
+      }
+      // Quiet pools resume from here instead of the block they were subscribed at
+      this.advancePoolCursors(this.eventTransport === 'polling' ? this.logPoller.lastBlock : blockNumber - 1);
+      this.checkRecentBlocks(blockNumber);
+      if (config.settings.enableDebugLogs && blockNumber % 10 === 0) {
+        console.log(`⛓️ ${this.chain.name} block ${blockNumber}`);
+      }
+    }).catch(() => {});
+  }
+
+  /**
+   * Active endpoint changed: move block, pool and mempool listeners to the new provider
+   */
+  async handleProviderSwitch(provider, endpoint) {
+    if (this.isStopped) return;
+
+    // Taken before listeners are re-attached: live swaps on the new provider move the cursors
+    const cursors = new Map(this.poolCursors);
+
+    const previous = this.provider;
+    const previousTransport = this.eventTransport;
+    this.provider = provider;
+    this.eventTransport = this.selectEventTransport(endpoint);
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+
+    if (previous && previous !== provider) {
+      previous.removeAllListeners().catch(() => {});
+    }
+    this.attachProviderHandlers(provider);
+
+    if (this.mempoolMonitor) {
+      await this.mempoolMonitor.setProvider(provider);
+    }
+
+    if (previousTransport !== this.eventTransport) {
+      console.log(`📡 ${this.chain.name} pool events: ${this.describeEventTransport()}`);
+    }
+
+    if (this.eventTransport === 'polling') {
+      // Listener contracts subscribe through the poller, which reads from the current
+      // provider: it resumes after its last polled block (or the last head seen live
+      // when coming from subscriptions), so there is nothing to backfill
+      if (previousTransport !== 'polling') {
+        await this.resubscribeAllTokens();
+        this.logPoller.start(this.lastBlock);
+      }
+      return;
+    }
+
+    this.logPoller.stop();
+    await this.resubscribeAllTokens();
+    await this.backfillMissedEvents(cursors);
+  }
+
+  /**
+   * Every endpoint is down: retry failover until one answers
+   */
   async handleReconnection() {
+    if (this.isStopped || this.reconnectTimer) return;
+
     if (this.reconnectAttempts >= config.settings.maxReconnectAttempts) {
       console.error('Max reconnection attempts reached. Please restart the service.');
       return;
@@ -204,10 +360,13 @@ class PriceMonitor {
     this.reconnectAttempts++;
     console.log(`Reconnection attempt ${this.reconnectAttempts}/${config.settings.maxReconnectAttempts}...`);
     
-    setTimeout(async () => {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.isStopped) return;
       try {
-        await this.connectWebSocket();
-        await this.resubscribeAllTokens();
+        if (!await this.providerPool.failover()) {
+          throw new Error('no endpoint answered');
+        }
       } catch (error) {
         console.error('Reconnection failed:', error.message);
         this.handleReconnection();
@@ -216,6 +375,14 @@ class PriceMonitor {
   }
   
   async resubscribeAllTokens() {
+    // Contracts are bound to the provider they were created with - detach them all first
+    // so no pool ends up with listeners on both the old and the new provider
+    await Promise.all(Array.from(this.activeListeners.values()).map(({ contract }) => Promise.resolve()
+      .then(() => contract.removeAllListeners())
+      .catch(() => {})));
+    this.activeListeners.clear();
+    this.poolContracts.clear();
+
     for (const [tokenAddress, tokenData] of this.monitoredTokens) {
       for (const pool of tokenData.pools) {
         await this.setupPoolListener(pool, tokenAddress);
@@ -224,14 +391,401 @@ class PriceMonitor {
     console.log('✅ Resubscribed to all tokens');
   }
   
+  // ==================== EVENT TRANSPORT ====================
+
+  /**
+   * settings.eventTransport: 'wss' keeps contract subscriptions on every endpoint
+   * (HTTP ones then poll one filter per pool and event), 'polling' always uses the
+   * log poller, 'auto' subscribes on WebSocket endpoints and polls on HTTP ones
+   */
+  selectEventTransport(endpoint) {
+    const { eventTransport } = config.settings;
+    if (eventTransport === 'wss' || eventTransport === 'polling') {
+      return eventTransport;
+    }
+    return endpoint?.transport === 'http' ? 'polling' : 'wss';
+  }
+
+  describeEventTransport() {
+    if (this.eventTransport !== 'polling') return 'contract subscriptions';
+    const { logPollInterval } = config.settings;
+    return `eth_getLogs polling (${logPollInterval ? `every ${logPollInterval}ms` : 'every block'})`;
+  }
+
+  /**
+   * Runner for pool listener contracts (read-only contracts use this.reader)
+   */
+  getEventRunner() {
+    return this.eventTransport === 'polling' ? this.logPoller.runner : this.provider;
+  }
+
+  // ==================== MISSED EVENT BACKFILL ====================
+
+  /**
+   * Move the pool cursor past a processed swap log and remember the log for backfill dedupe
+   */
+  trackProcessedSwap(tokenAddress, poolAddress, log) {
+    if (!log || log.blockNumber == null) return;
+
+    const key = poolAddress.toLowerCase();
+    const cursor = this.poolCursors.get(key);
+    if (!cursor || this.isLogAfter(log, cursor)) {
+      this.poolCursors.set(key, { blockNumber: log.blockNumber, logIndex: log.index });
+    }
+
+    this.processedSwapLogs.add(this.swapLogKey(tokenAddress, log));
+    if (this.processedSwapLogs.size > 5000) {
+      // Sets iterate in insertion order - drop the oldest
+      this.processedSwapLogs.delete(this.processedSwapLogs.values().next().value);
+    }
+  }
+
+  /**
+   * Every log up to blockNumber was delivered: move all pool cursors that are behind it
+   */
+  advancePoolCursors(blockNumber, poolAddresses = this.poolCursors.keys()) {
+    if (blockNumber == null) return;
+
+    for (const poolAddress of Array.from(poolAddresses)) {
+      const cursor = this.poolCursors.get(poolAddress);
+      if (cursor && cursor.blockNumber < blockNumber) {
+        this.poolCursors.set(poolAddress, { blockNumber, logIndex: Infinity });
+      }
+    }
+  }
+
+  swapLogKey(tokenAddress, log) {
+    return `${tokenAddress.toLowerCase()}:${log.transactionHash}:${log.index}`;
+  }
+
+  /**
+   * Swap log already processed from the same block: the log poller can deliver logs
+   * again after a transport switch or a rewind (the same log from another block is a
+   * reorg and goes through)
+   */
+  isDuplicateSwapLog(tokenAddress, log) {
+    if (!log || log.blockNumber == null) return false;
+
+    const key = this.swapLogKey(tokenAddress, log);
+    if (!this.processedSwapLogs.has(key)) return false;
+    const recent = this.recentSwaps.get(key);
+    return !recent || recent.blockHash === log.blockHash;
+  }
+
+  isLogAfter(log, cursor) {
+    return log.blockNumber > cursor.blockNumber
+      || (log.blockNumber === cursor.blockNumber && log.index > cursor.logIndex);
+  }
+
+  /**
+   * Replay swaps emitted while the connection was down through the live listeners,
+   * oldest first, with `replayed: true`. Each pool resumes after its last processed
+   * log, at most backfillMaxBlocks behind the head (older gaps are logged and skipped).
+   * Each pool is queried once and its logs are replayed to the listener of every token.
+   * @param {Map} cursors - Pool cursors from before the listeners were re-attached
+   */
+  async backfillMissedEvents(cursors = this.poolCursors) {
+    const { backfillMaxBlocks } = config.settings;
+    if (!backfillMaxBlocks) return;
+
+    try {
+      const head = await this.provider.getBlockNumber();
+      const missed = [];
+
+      // poolAddress → listeners of the tokens priced from that pool
+      const byPool = new Map();
+      for (const listener of this.activeListeners.values()) {
+        // Adapter handles that are not ethers contracts cannot be queried
+        if (!listener.swapEvent || typeof listener.contract.queryFilter !== 'function') continue;
+        if (!byPool.has(listener.poolAddress)) {
+          byPool.set(listener.poolAddress, []);
+        }
+        byPool.get(listener.poolAddress).push(listener);
+      }
+
+      for (const [poolAddress, listeners] of byPool) {
+        const cursor = cursors.get(poolAddress);
+        if (!cursor || cursor.blockNumber >= head) continue;
+
+        let fromBlock = cursor.blockNumber;
+        if (head - fromBlock > backfillMaxBlocks) {
+          console.warn(`   ⚠️  ${poolAddress.slice(0, 10)}: blocks ${fromBlock}-${head - backfillMaxBlocks - 1} are older than backfillMaxBlocks and not replayed`);
+          fromBlock = head - backfillMaxBlocks;
+        }
+
+        const [{ contract, swapEvent }] = listeners;
+        const logs = await this.queryLogsInChunks(contract, swapEvent, fromBlock, head);
+        for (const log of logs) {
+          for (const listener of listeners) {
+            // Skip logs already delivered live, before the outage or by the new provider
+            if (this.isLogAfter(log, cursor) && !this.processedSwapLogs.has(this.swapLogKey(listener.tokenAddress, log))) {
+              missed.push({ listener, log });
+            }
+          }
+        }
+
+        // Logs of the head block may still be arriving - it is scanned again next time
+        this.advancePoolCursors(head - 1, [poolAddress]);
+      }
+
+      if (missed.length === 0) return;
+
+      missed.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+      console.log(`⏪ Replaying ${missed.length} missed swap log(s) on ${this.chain.name} up to block ${head}`);
+
+      const blockTimes = new Map();
+      for (const { listener, log } of missed) {
+        if (!blockTimes.has(log.blockNumber)) {
+          const block = await this.provider.getBlock(log.blockNumber).catch(() => null);
+          blockTimes.set(log.blockNumber, block ? block.timestamp * 1000 : null);
+        }
+
+        for (const handler of await listener.contract.listeners(listener.swapEvent)) {
+          const payload = new ethers.ContractEventPayload(listener.contract, handler, listener.swapEvent, log.fragment, log);
+          payload.replayed = true;
+          payload.replayedTimestamp = blockTimes.get(log.blockNumber);
+          try {
+            await handler.call(listener.contract, ...log.args, payload);
+          } catch (error) {
+            console.error('Swap replay error:', error.message);
+            this.metrics.addError(error);
+          }
+        }
+      }
+
+      console.log(`✅ Replayed ${missed.length} missed swap(s) on ${this.chain.name}`);
+
+      // Replayed blocks do not reprice - one update per token from the current pool state
+      for (const tokenAddress of new Set(missed.map(({ listener }) => listener.tokenAddress))) {
+        this.handlePriceUpdate(tokenAddress)
+          .catch(err => console.error('Price update after backfill failed:', err.message));
+      }
+    } catch (error) {
+      console.error('Backfill failed:', error.message);
+      this.metrics.addError(error);
+    }
+  }
+
+  /**
+   * eth_getLogs over [fromBlock, toBlock] in backfillChunkSize windows (providers cap the range)
+   */
+  async queryLogsInChunks(contract, event, fromBlock, toBlock) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += config.settings.backfillChunkSize) {
+      const end = Math.min(start + config.settings.backfillChunkSize - 1, toBlock);
+      logs.push(...await contract.queryFilter(event, start, end));
+    }
+    // Logs that do not decode against the ABI come back as plain Log objects
+    return logs.filter(log => log.args);
+  }
+
+  // ==================== REORG HANDLING ====================
+
+  /**
+   * Keep a broadcast swap with its block hash until it is reorgDepth blocks deep.
+   * A log seen again from another block means the first block was dropped.
+   */
+  trackRecentSwap(swapEvent, log) {
+    if (!log?.blockHash || !(config.settings.reorgDepth > 0)) return;
+
+    const key = this.swapLogKey(swapEvent.tokenAddress, log);
+    const previous = this.recentSwaps.get(key);
+    if (previous && previous.blockHash !== log.blockHash) {
+      this.retractSwap(key, 'reorged');
+    }
+
+    this.recentSwaps.set(key, {
+      tokenAddress: swapEvent.tokenAddress.toLowerCase(),
+      symbol: swapEvent.symbol,
+      poolAddress: swapEvent.poolAddress.toLowerCase(),
+      type: swapEvent.type,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      confirmation: null // swap.confirmed payload, once sent
+    });
+  }
+
+  /**
+   * Swap log delivered with removed: true - its block left the canonical chain
+   */
+  handleRemovedSwapLog(tokenAddress, log) {
+    console.warn(`⚠️  Removed swap log ${log.transactionHash.slice(0, 10)}... (block ${log.blockNumber} reorged)`);
+    this.retractSwap(this.swapLogKey(tokenAddress, log), 'removed-log');
+  }
+
+  /**
+   * Start a block hash check on a new head (skipped while one is running)
+   */
+  checkRecentBlocks(head) {
+    if (this.isStopped || this.reorgCheck || this.recentSwaps.size === 0) return;
+
+    this.reorgCheck = this.verifyRecentSwaps(head)
+      .catch(err => console.error('Reorg check error:', err.message))
+      .finally(() => {
+        this.reorgCheck = null;
+      });
+  }
+
+  /**
+   * Compare the block hash of every recent swap with the canonical block at its
+   * height and retract swaps whose block was replaced (covers HTTP polling, which
+   * never delivers removed logs, and removals missed while disconnected)
+   */
+  async verifyRecentSwaps(head) {
+    for (const [key, swap] of this.recentSwaps) {
+      if (head - swap.blockNumber >= config.settings.reorgDepth) {
+        this.recentSwaps.delete(key);
+      }
+    }
+
+    const blockNumbers = [...new Set(Array.from(this.recentSwaps.values(), swap => swap.blockNumber))]
+      .filter(blockNumber => blockNumber <= head);
+    const canonical = new Map(await Promise.all(blockNumbers.map(async (blockNumber) => {
+      const block = await this.provider.getBlock(blockNumber);
+      return [blockNumber, block?.hash || null];
+    })));
+
+    const replaced = Array.from(this.recentSwaps).filter(([, swap]) => {
+      const hash = canonical.get(swap.blockNumber);
+      return hash && hash !== swap.blockHash;
+    });
+    if (replaced.length === 0) return;
+
+    const blocks = [...new Set(replaced.map(([, swap]) => swap.blockNumber))];
+    console.warn(`⚠️  Reorg on ${this.chain.name}: block(s) ${blocks.join(', ')} replaced, retracting ${replaced.length} swap(s)`);
+    for (const [key] of replaced) {
+      this.retractSwap(key, 'block-replaced');
+    }
+  }
+
+  /**
+   * Undo a broadcast swap: roll back its candle trade, mark it retracted in
+   * history, emit `swap-retracted` (and `swap:reorged` when a confirmation was
+   * sent), then reload the pool state and price
+   * @param {String} key - tokenAddress:txHash:logIndex
+   * @param {String} reason - 'removed-log', 'block-replaced' or 'reorged'
+   * @returns {Boolean} False when the swap is unknown or was already retracted
+   */
+  retractSwap(key, reason) {
+    const swap = this.recentSwaps.get(key);
+    if (!swap) return false;
+
+    this.recentSwaps.delete(key);
+    // The log may come back in another block - let the backfill accept it again
+    this.processedSwapLogs.delete(key);
+    this.metrics.increment('swapsRetracted');
+
+    // Polling never delivers the replacement block's logs on its own - read them again
+    if (this.eventTransport === 'polling') {
+      this.logPoller.rewind(swap.blockNumber - 1);
+    }
+
+    const { tokenAddress } = swap;
+    const room = this.getRoom(tokenAddress);
+    const candles = this.candleAggregator.removeTrade(tokenAddress, `${swap.txHash}:${swap.logIndex}`);
+    if (!candles) {
+      console.warn(`⚠️  Swap ${swap.txHash.slice(0, 10)}... is too old to roll back its candles`);
+    }
+    for (const { interval, candle } of (candles || []).filter(update => update.candle)) {
+      this.io.to(room).emit('candle-update', {
+        chainId: this.chainId,
+        tokenAddress,
+        interval,
+        candle
+      });
+    }
+
+    if (this.historyStore) {
+      this.historyStore.append(tokenAddress, {
+        t: Date.now(),
+        type: 'swap-retracted',
+        poolAddress: swap.poolAddress,
+        txHash: swap.txHash,
+        logIndex: swap.logIndex
+      });
+    }
+
+    this.io.to(room).emit('swap-retracted', {
+      chainId: this.chainId,
+      tokenAddress,
+      symbol: swap.symbol,
+      poolAddress: swap.poolAddress,
+      txHash: swap.txHash,
+      logIndex: swap.logIndex,
+      blockNumber: swap.blockNumber,
+      blockHash: swap.blockHash,
+      type: swap.type,
+      reason,
+      // Bars left without trades (candle-update carries the rest)
+      removedCandles: (candles || [])
+        .filter(update => !update.candle)
+        .map(({ interval, time }) => ({ interval, time })),
+      timestamp: Date.now()
+    });
+    console.log(`↩️  Retracted ${swap.type} ${swap.symbol} ${swap.txHash.slice(0, 20)}... (${reason})`);
+
+    if (swap.confirmation) {
+      this.emitSwapReorged({
+        ...swap.confirmation,
+        event: 'swap.reorged',
+        status: 'reorged',
+        logIndex: swap.logIndex,
+        blockHash: swap.blockHash,
+        reason,
+        timestamp: Date.now()
+      }).catch(err => console.error('Swap reorg emission error:', err.message));
+    }
+
+    // Pool state was updated from the removed log
+    this.reloadPoolState(tokenAddress, swap.poolAddress)
+      .then(() => this.handlePriceUpdate(tokenAddress))
+      .catch(err => console.error('Pool reload after reorg failed:', err.message));
+
+    return true;
+  }
+
+  /**
+   * Read a pool's state again (one reload per pool at a time)
+   */
+  reloadPoolState(tokenAddress, poolAddress) {
+    const pool = this.monitoredTokens.get(tokenAddress)?.pools
+      .find(p => p.address.toLowerCase() === poolAddress);
+    if (!pool) return Promise.resolve();
+
+    if (!this.poolReloads.has(poolAddress)) {
+      const reload = (async () => {
+        let state;
+        const adapter = this.adapters.get(pool.type);
+        if (adapter) {
+          state = await adapter.loadPool(pool.config, tokenAddress, this.adapterContext);
+        } else if (pool.type === 'V2') {
+          state = await this.loadV2Pool(pool.config, tokenAddress);
+        } else if (pool.type === 'STABLESWAP') {
+          state = await this.loadStableSwapPool(pool.config, tokenAddress);
+        } else if (pool.type === 'INFINITY_CL') {
+          state = await this.loadInfinityClPool(pool.config, tokenAddress);
+        } else {
+          state = await this.loadV3Pool(pool.config, tokenAddress);
+        }
+        if (state) {
+          Object.assign(pool, state, { config: pool.config });
+        }
+      })();
+      this.poolReloads.set(poolAddress, reload.finally(() => this.poolReloads.delete(poolAddress)));
+    }
+    return this.poolReloads.get(poolAddress);
+  }
+
   // ==================== AGENT TOKEN PRICING WITH CIRCULAR PROTECTION ====================
   
   async updateAllAgentPrices() {
-    if (!config.agentTokens) return;
+    if (!this.chain.agentTokens) return;
     
     console.log('📊 Updating agent token prices...');
     
-    for (const [agentAddress, agentConfig] of Object.entries(config.agentTokens)) {
+    for (const [agentAddress, agentConfig] of Object.entries(this.chain.agentTokens)) {
       try {
         const price = await this.calculateAgentTokenPrice(agentAddress, agentConfig, []);
         if (price > 0) {
@@ -270,7 +824,7 @@ class PriceMonitor {
         }
         
         // Convert to USD based on pair token
-        if (source.pair === 'WBNB') {
+        if (this.isNativeSymbol(source.pair)) {
           price = price * this.bnbPrice;
         } else if (source.pair === 'USDC' || source.pair === 'USDT' || source.pair === 'DAI' || source.pair === 'BUSD') {
           // Already in USD
@@ -283,7 +837,7 @@ class PriceMonitor {
         }
         
         if (price > 0) {
-          prices.push(price);
+          prices.push({ priceUSD: price, source: source.address });
         }
       } catch (error) {
         console.error(`Failed to get price from ${source.address}: ${error.message}`);
@@ -293,8 +847,9 @@ class PriceMonitor {
     if (prices.length === 0) return 0;
     
     // Remove outliers before averaging
-    const cleanPrices = this.removeOutliers(prices);
-    return cleanPrices.reduce((sum, p) => sum + p, 0) / cleanPrices.length;
+    const { kept, excluded } = this.filterOutliers(prices, config.settings.outlierStrategy);
+    this.recordOutliers(excluded);
+    return kept.reduce((sum, p) => sum + p.priceUSD, 0) / kept.length;
   }
   
   async getAgentTokenPrice(agentAddress, callStack = []) {
@@ -314,7 +869,7 @@ class PriceMonitor {
     }
     
     // Otherwise calculate fresh price
-    const agentConfig = config.agentTokens[agentAddress.toLowerCase()];
+    const agentConfig = this.chain.agentTokens[agentAddress.toLowerCase()];
     if (!agentConfig) {
       console.warn(`No configuration for agent token ${agentAddress}`);
       return 0;
@@ -336,22 +891,92 @@ class PriceMonitor {
   
   // ==================== PRICE CALCULATION WITH OUTLIER DETECTION ====================
   
-  removeOutliers(prices) {
-    if (prices.length <= 2) return prices;
-    
-    // Calculate mean and standard deviation
-    const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-    const squaredDiffs = prices.map(p => Math.pow(p - mean, 2));
-    const variance = squaredDiffs.reduce((sum, d) => sum + d, 0) / prices.length;
-    const stdDev = Math.sqrt(variance);
-    
-    // Remove prices that are more than 2 standard deviations from mean
-    const filtered = prices.filter(p => Math.abs(p - mean) <= 2 * stdDev);
-    
-    // If we filtered out too much, return original
-    if (filtered.length === 0) return prices;
-    
-    return filtered;
+  /**
+   * Split price entries into kept and excluded using an outlier strategy
+   * @param {Array} entries - Objects with `priceUSD` ('quorum' also reads `liquidityUSD`)
+   * @param {String} strategy - 'mad' | 'median' | 'quorum' | 'stddev' | 'none'
+   * @param {Object} overrides - Threshold settings to use instead of config.settings
+   * @returns {Object} { kept, excluded: [{ entry, reason }] }
+   */
+  filterOutliers(entries, strategy, overrides = {}) {
+    const {
+      outlierMadThreshold, outlierMaxDeviation, outlierQuorumLiquidityUSD, outlierQuorumSize
+    } = { ...config.settings, ...overrides };
+    const median = (values) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    const prices = entries.map(e => e.priceUSD);
+
+    // Reason per entry, null = kept
+    const deviationFrom = (reference, label) => prices.map(p => {
+      const deviation = Math.abs(p - reference) / reference * 100;
+      return deviation > outlierMaxDeviation
+        ? `${deviation.toFixed(2)}% from ${label} (max ${outlierMaxDeviation}%)`
+        : null;
+    });
+    let reasons = prices.map(() => null);
+
+    switch (strategy) {
+      case 'none':
+        break;
+
+      case 'stddev': {
+        // Legacy mean ± 2σ - cannot exclude anything with two entries
+        if (prices.length <= 2) break;
+        const mean = prices.reduce((sum, p) => sum + p, 0) / prices.length;
+        const stdDev = Math.sqrt(prices.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / prices.length);
+        reasons = prices.map(p => (Math.abs(p - mean) > 2 * stdDev
+          ? `${(Math.abs(p - mean) / stdDev).toFixed(1)}σ from mean (max 2σ)`
+          : null));
+        break;
+      }
+
+      case 'mad': {
+        if (prices.length <= 2) break;
+        const center = median(prices);
+        // 1.4826 scales MAD to σ for normal data; floor at 0.1% so identical prices don't exclude tiny drift
+        const scale = Math.max(median(prices.map(p => Math.abs(p - center))) * 1.4826, center * 0.001);
+        reasons = prices.map(p => {
+          const score = Math.abs(p - center) / scale;
+          return score > outlierMadThreshold
+            ? `MAD score ${score.toFixed(1)} (max ${outlierMadThreshold})`
+            : null;
+        });
+        break;
+      }
+
+      case 'median':
+        reasons = deviationFrom(median(prices), 'median');
+        break;
+
+      case 'quorum': {
+        // Only deep pools set the reference, so thin pools can be excluded even when there are two
+        const voters = entries.filter(e => e.liquidityUSD >= outlierQuorumLiquidityUSD);
+        reasons = voters.length >= outlierQuorumSize
+          ? deviationFrom(median(voters.map(e => e.priceUSD)), `quorum median of ${voters.length}`)
+          : deviationFrom(median(prices), 'median');
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown outlier strategy: ${strategy}`);
+    }
+
+    const kept = entries.filter((_, i) => reasons[i] === null);
+
+    // No consensus when everything is an outlier - keep them all
+    if (kept.length === 0) {
+      return { kept: entries, excluded: [] };
+    }
+
+    return {
+      kept,
+      excluded: entries
+        .map((entry, i) => ({ entry, reason: reasons[i] }))
+        .filter(({ reason }) => reason !== null)
+    };
   }
   
   async getV2PoolPrice(poolInfo, tokenAddress) {
@@ -362,7 +987,7 @@ class PriceMonitor {
         'function token0() view returns (address)',
         'function token1() view returns (address)'
       ],
-      this.provider
+      this.reader
     );
     
     const [reserves, token0, token1] = await Promise.all([
@@ -395,7 +1020,7 @@ class PriceMonitor {
       ['function slot0() view returns (uint160 sqrtPriceX96, int24, uint16, uint16, uint16, uint8, bool)',
        'function token0() view returns (address)',
        'function token1() view returns (address)'],
-      this.provider
+      this.reader
     );
     
     const [slot0, token0, token1] = await Promise.all([
@@ -423,63 +1048,164 @@ class PriceMonitor {
   
   async updateBNBPrice() {
     try {
+      const now = Date.now();
       const prices = [];
+      const stale = [];
       
-      for (const source of config.bnbPriceSources) {
+      // All sources are read at once so their calls share one multicall
+      const readings = await Promise.all(this.chain.nativePriceSources.map(async (source) => {
         try {
-          const price = await this.getBNBPriceFromPool(source);
-          if (price > 0) {
-            prices.push(price);
-          }
+          return source.type === 'CHAINLINK'
+            ? await this.getBNBPriceFromAggregator(source)
+            : { price: await this.getBNBPriceFromPool(source), updatedAt: now };
         } catch (error) {
-          console.log(`Failed to get price from ${source.address.slice(0,8)}...`);
+          console.log(`Failed to get price from ${(source.name || source.address).slice(0, 24)}...`);
+          return null;
         }
-      }
+      }));
+
+      this.chain.nativePriceSources.forEach((source, i) => {
+        const reading = readings[i];
+        if (!(reading?.price > 0)) return;
+
+        const entry = {
+          priceUSD: reading.price,
+          source: source.name || source.address,
+          sourceType: source.type === 'CHAINLINK' ? 'chainlink' : 'pools',
+          weight: source.weight || 1,
+          liquidityUSD: source.liquidityUSD,
+          updatedAt: reading.updatedAt
+        };
+
+        const age = now - reading.updatedAt;
+        if (age > config.settings.bnbPriceMaxAge) {
+          stale.push({ entry, reason: `stale (${Math.round(age / 1000)}s old, max ${config.settings.bnbPriceMaxAge / 1000}s)` });
+        } else {
+          prices.push(entry);
+        }
+      });
       
       if (prices.length > 0) {
-        // Remove outliers from BNB price sources too
-        const cleanPrices = this.removeOutliers(prices);
-        this.bnbPrice = cleanPrices.reduce((sum, p) => sum + p, 0) / cleanPrices.length;
-        console.log(`📈 BNB price updated: $${this.bnbPrice.toFixed(2)}`);
+        // Sources further than bnbPriceMaxDeviation from the others are dropped
+        const { kept, excluded } = this.filterOutliers(prices, config.settings.bnbOutlierStrategy, {
+          outlierMaxDeviation: config.settings.bnbPriceMaxDeviation
+        });
+        this.recordOutliers(excluded);
+        this.bnbExcludedSources = [...stale, ...excluded].map(({ entry, reason }) => ({
+          source: entry.source,
+          priceUSD: entry.priceUSD,
+          reason
+        }));
+
+        const totalWeight = kept.reduce((sum, p) => sum + p.weight, 0);
+        this.bnbPrice = kept.reduce((sum, p) => sum + p.priceUSD * p.weight, 0) / totalWeight;
+        const sourceTypes = new Set(kept.map(p => p.sourceType));
+        this.bnbPriceSource = ['pools', 'chainlink'].filter(type => sourceTypes.has(type)).join('+');
+        this.bnbPriceUpdatedAt = Math.min(...kept.map(p => p.updatedAt));
+        console.log(`📈 ${this.chain.nativeSymbol} price updated: $${this.bnbPrice.toFixed(2)} (${this.bnbPriceSource})`);
       } else {
-        console.log(`Using default BNB price: $${this.bnbPrice}`);
+        this.bnbExcludedSources = stale.map(({ entry, reason }) => ({
+          source: entry.source,
+          priceUSD: entry.priceUSD,
+          reason
+        }));
+        if (this.bnbPriceSource === 'fallback') {
+          console.warn(`⚠️  No usable ${this.chain.nativeSymbol} price source - using default price: $${this.bnbPrice}`);
+        } else {
+          console.warn(`⚠️  No usable ${this.chain.nativeSymbol} price source - keeping last price: $${this.bnbPrice.toFixed(2)}`);
+        }
       }
       
       this.lastEthPriceUpdate = Date.now();
       
     } catch (error) {
-      console.error('Failed to update BNB price:', error.message);
+      console.error(`Failed to update ${this.chain.nativeSymbol} price:`, error.message);
       this.metrics.addError(error);
     }
   }
+
+  /**
+   * BNB price state attached to every price payload
+   * degraded: the default constant is in use, or the last good price is older than bnbPriceMaxAge
+   */
+  getBNBPriceInfo() {
+    const bnbPriceAge = this.bnbPriceUpdatedAt ? Date.now() - this.bnbPriceUpdatedAt : null;
+    return {
+      chainId: this.chainId,
+      nativeSymbol: this.chain.nativeSymbol,
+      bnbPrice: this.bnbPrice,
+      bnbPriceSource: this.bnbPriceSource,
+      bnbPriceAge,
+      degraded: this.bnbPriceSource === 'fallback' || bnbPriceAge > config.settings.bnbPriceMaxAge
+    };
+  }
   
   async getBNBPriceFromPool(source) {
-    const poolContract = new ethers.Contract(
-      source.address,
-      ['function slot0() view returns (uint160 sqrtPriceX96, int24, uint16, uint16, uint16, uint8, bool)'],
-      this.provider
-    );
-    
-    const slot0 = await poolContract.slot0();
-    const sqrtPriceX96 = parseFloat(slot0[0].toString());
-    const Q96 = 2 ** 96;
-    
-    const sqrtPrice = sqrtPriceX96 / Q96;
-    let price = sqrtPrice * sqrtPrice;
-    
-    // Adjust for decimals difference
-    if (source.decimals0 !== source.decimals1) {
-      price = price * Math.pow(10, source.decimals0 - source.decimals1);
+    let price;
+
+    if (source.type === 'V2') {
+      const pairContract = new ethers.Contract(
+        source.address,
+        ['function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)'],
+        this.reader
+      );
+      const reserves = await pairContract.getReserves();
+      if (reserves[0] === 0n || reserves[1] === 0n) return 0;
+
+      price = Number(ethers.formatUnits(reserves[1], source.decimals1)) /
+              Number(ethers.formatUnits(reserves[0], source.decimals0));
+    } else {
+      const poolContract = new ethers.Contract(
+        source.address,
+        ['function slot0() view returns (uint160 sqrtPriceX96, int24, uint16, uint16, uint16, uint8, bool)'],
+        this.reader
+      );
+
+      const slot0 = await poolContract.slot0();
+      const sqrtPriceX96 = parseFloat(slot0[0].toString());
+      const Q96 = 2 ** 96;
+
+      const sqrtPrice = sqrtPriceX96 / Q96;
+      price = sqrtPrice * sqrtPrice;
+
+      // Adjust for decimals difference
+      if (source.decimals0 !== source.decimals1) {
+        price = price * Math.pow(10, source.decimals0 - source.decimals1);
+      }
     }
     
-    // sqrtPriceX96 gives token1/token0 ratio
-    // If stablecoin is token0, we need to invert to get USD per BNB
-    if ((source.token0 === 'USDC' || source.token0 === 'USDT' || source.token0 === 'BUSD') && source.token1 === 'WBNB') {
+    // Pool prices are token1/token0 ratio
+    // If the wrapped native token is token1, we need to invert to get USD per BNB
+    if (source.token1 === this.chain.wrappedNative) {
       price = 1 / price;
     }
 
     return price;
   }
+
+  /**
+   * Chainlink-style aggregator (latestRoundData), price and its on-chain update time
+   */
+  async getBNBPriceFromAggregator(source) {
+    const aggregator = new ethers.Contract(
+      source.address,
+      [
+        'function decimals() view returns (uint8)',
+        'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+      ],
+      this.reader
+    );
+
+    if (source.decimals === undefined) {
+      source.decimals = Number(await aggregator.decimals());
+    }
+
+    const [, answer, , updatedAt] = await aggregator.latestRoundData();
+    return {
+      price: Number(ethers.formatUnits(answer, source.decimals)),
+      updatedAt: Number(updatedAt) * 1000
+    };
+  }
   
   // ==================== TOKEN MANAGEMENT ====================
   
@@ -499,11 +1225,16 @@ class PriceMonitor {
         return this.monitoredTokens.get(tokenAddress).lastPrice;
       }
 
-      // Get token config
-      const tokenConfig = config.tokens[tokenAddress];
+      // Get token config, falling back to factory discovery for unconfigured tokens
+      const tokenConfig = this.chain.tokens[tokenAddress];
       if (!tokenConfig) {
-        console.error(`❌ Token ${tokenAddress} not configured in tokens.config.js`);
-        return null;
+        console.log(`🔎 Token ${tokenAddress} not configured in tokens.config.js - discovering pools...`);
+        const discovery = await this.discoverPools(tokenAddress);
+        if (discovery.pools.length === 0) {
+          console.error(`❌ No PancakeSwap pools with liquidity found for ${tokenAddress}`);
+          return null;
+        }
+        return this.addTokenWithConfig(tokenAddress, this.buildDiscoveredTokenConfig(discovery));
       }
 
       console.log(`\n🔍 Adding ${tokenConfig.name} (${tokenConfig.symbol})`);
@@ -531,15 +1262,22 @@ class PriceMonitor {
         return null;
       }
 
+      // Seed TWAP state before the first price (TWAP mode only)
+      await this.updateTokenTwap(tokenAddress, activePools, tokenConfig);
+
       // Calculate initial price
       const initialPrice = await this.calculatePrice(tokenAddress, activePools, tokenConfig);
 
+      // Load on-chain supply for market cap / FDV
+      const supply = await this.loadTokenSupply(tokenAddress, tokenConfig);
+
       // Store token data
       this.monitoredTokens.set(tokenAddress, {
         config: tokenConfig,
         pools: activePools,
         lastPrice: initialPrice,
-        lastUpdate: Date.now()
+        lastUpdate: Date.now(),
+        supply
       });
 
       // Setup event listeners with tracking
@@ -563,113 +1301,198 @@ class PriceMonitor {
     }
   }
 
+  /**
+   * Bulk onboarding: tokens load bulkOnboardConcurrency at a time, so the pool,
+   * decimals and metadata reads of concurrent tokens share multicalls
+   * @returns {Array} One result per input, in input order
+   */
   async addDynamicTokens(tokensArray) {
-    const results = [];
-
-    console.log(`\n📋 Adding ${tokensArray.length} dynamic token(s)...`);
-
-    for (let i = 0; i < tokensArray.length; i++) {
-      const tokenInput = tokensArray[i];
-
-      // DEBUG: Log exactly what we received from frontend
-      console.log(`   📥 Received from frontend:`, JSON.stringify({
-        dex: tokenInput.dex,
-        version: tokenInput.version,
-        fee: tokenInput.fee,
-        symbol: tokenInput.symbol,
-        pair: tokenInput.pair,
-        pairAddress: tokenInput.pairAddress,
-        poolAddress: tokenInput.poolAddress,
-        tokenAddress: tokenInput.tokenAddress
-      }));
+    const total = tokensArray.length;
+    const results = new Array(total);
 
-      try {
-        // Normalize addresses to lowercase for consistent key matching
-        const tokenAddress = ethers.getAddress(tokenInput.tokenAddress).toLowerCase();
-        const poolAddress = ethers.getAddress(tokenInput.poolAddress).toLowerCase();
-
-        console.log(`\n[${i + 1}/${tokensArray.length}] Processing token ${tokenAddress.slice(0, 10)}...`);
-
-        // Check if already monitoring
-        if (this.monitoredTokens.has(tokenAddress)) {
-          console.log(`   ⚠️  Already monitoring this token`);
-          const cached = this.priceCache.get(tokenAddress);
-          results.push({
-            success: true,
-            tokenAddress,
-            message: 'Already monitoring',
-            price: cached || this.monitoredTokens.get(tokenAddress).lastPrice
-          });
-          continue;
-        }
+    console.log(`\n📋 Adding ${total} dynamic token(s)...`);
 
-        // Build token configuration dynamically
-        const tokenConfig = this.buildTokenConfig(tokenInput, tokenAddress, poolAddress);
-
-        // Add token with dynamic config
-        const price = await this.addTokenWithConfig(tokenAddress, tokenConfig);
-
-        if (price) {
-          results.push({
-            success: true,
-            tokenAddress,
-            poolAddress,
-            pair: tokenInput.pair,
-            version: tokenInput.version,
-            message: 'Successfully added to monitoring',
-            price
-          });
-          console.log(`   ✅ Successfully added!`);
-        } else {
-          results.push({
-            success: false,
-            tokenAddress,
-            poolAddress,
-            error: 'Failed to add token - check pool liquidity and configuration'
-          });
-          console.log(`   ❌ Failed to add`);
-        }
+    // Refreshed once here instead of by every concurrent addTokenWithConfig
+    if (Date.now() - this.lastEthPriceUpdate > config.settings.updateBnbPriceInterval) {
+      await this.updateBNBPrice();
+    }
 
-      } catch (error) {
-        console.error(`   ❌ Error: ${error.message}`);
-        results.push({
-          success: false,
-          tokenAddress: tokenInput.tokenAddress,
-          error: error.message
-        });
+    let next = 0;
+    const worker = async () => {
+      while (next < total) {
+        const i = next++;
+        results[i] = await this.addDynamicToken(tokensArray[i], i, total);
       }
-    }
+    };
+    const workers = Math.min(Math.max(config.settings.bulkOnboardConcurrency, 1), total);
+    await Promise.all(Array.from({ length: workers }, worker));
 
     console.log(`\n✅ Processed ${results.length} token(s)\n`);
     return results;
   }
 
-  buildTokenConfig(tokenInput, tokenAddress, poolAddress) {
-    const isAgent = !['WBNB', 'USDC', 'USDT', 'BUSD', 'DAI'].includes(tokenInput.pair);
+  /**
+   * Validate one /api/monitor-dynamic entry and start monitoring it
+   * @returns {Object} Result entry ({ success, tokenAddress, ... })
+   */
+  async addDynamicToken(tokenInput, i, total) {
+    // DEBUG: Log exactly what we received from frontend
+    console.log(`   📥 Received from frontend:`, JSON.stringify({
+      dex: tokenInput.dex,
+      version: tokenInput.version,
+      fee: tokenInput.fee,
+      symbol: tokenInput.symbol,
+      pair: tokenInput.pair,
+      pairAddress: tokenInput.pairAddress,
+      poolAddress: tokenInput.poolAddress,
+      tokenAddress: tokenInput.tokenAddress
+    }));
+
+    let onboarded = null;
+    let tokenAddress = null;
+
+    try {
+      // Normalize addresses to lowercase for consistent key matching
+      tokenAddress = ethers.getAddress(tokenInput.tokenAddress).toLowerCase();
+      // Infinity pools are identified by a bytes32 pool id instead of an address
+      // V2 pools without poolAddress are derived from the DEX factory in buildTokenConfig
+      let poolAddress = null;
+      if (tokenInput.version === 'infinity') {
+        poolAddress = tokenInput.poolId.toLowerCase();
+      } else if (tokenInput.poolAddress) {
+        poolAddress = ethers.getAddress(tokenInput.poolAddress).toLowerCase();
+      }
+
+      console.log(`\n[${i + 1}/${total}] Processing token ${tokenAddress.slice(0, 10)}...`);
+
+      // Same token still loading from an earlier entry (or another request)
+      while (this.tokenOnboarding.has(tokenAddress)) {
+        await this.tokenOnboarding.get(tokenAddress);
+      }
+
+      // Check if already monitoring
+      if (this.monitoredTokens.has(tokenAddress)) {
+        console.log(`   ⚠️  Already monitoring this token`);
+        const cached = this.priceCache.get(tokenAddress);
+        return {
+          success: true,
+          tokenAddress,
+          message: 'Already monitoring',
+          price: cached || this.monitoredTokens.get(tokenAddress).lastPrice
+        };
+      }
+
+      this.tokenOnboarding.set(tokenAddress, new Promise(resolve => {
+        onboarded = resolve;
+      }));
+
+      // Fill in name/symbol/decimals from the chain and flag client values that disagree
+      const metadata = await this.getTokenMetadata(tokenAddress);
+      const warnings = metadata ? this.compareTokenMetadata(tokenInput, metadata) : [];
+      warnings.forEach(warning => console.warn(`   ⚠️  Metadata mismatch - ${warning}`));
+
+      // Build token configuration dynamically
+      const tokenConfig = this.buildTokenConfig(tokenInput, tokenAddress, poolAddress, metadata);
+      poolAddress = tokenConfig.pools[0].address;
+
+      // Add token with dynamic config
+      const price = await this.addTokenWithConfig(tokenAddress, tokenConfig);
+
+      if (price) {
+        console.log(`   ✅ Successfully added!`);
+        return {
+          success: true,
+          tokenAddress,
+          poolAddress,
+          pair: tokenInput.pair,
+          version: tokenInput.version,
+          message: 'Successfully added to monitoring',
+          price,
+          ...(warnings.length > 0 && { warnings })
+        };
+      }
+
+      console.log(`   ❌ Failed to add`);
+      return {
+        success: false,
+        tokenAddress,
+        poolAddress,
+        error: 'Failed to add token - check pool liquidity and configuration',
+        ...(warnings.length > 0 && { warnings })
+      };
+
+    } catch (error) {
+      console.error(`   ❌ Error: ${error.message}`);
+      return {
+        success: false,
+        tokenAddress: tokenInput.tokenAddress,
+        error: error.message
+      };
+    } finally {
+      if (onboarded) {
+        this.tokenOnboarding.delete(tokenAddress);
+        onboarded();
+      }
+    }
+  }
+
+  buildTokenConfig(tokenInput, tokenAddress, poolAddress, metadata = null) {
+    const isAgent = ![this.chain.wrappedNative, ...STABLECOINS].includes(tokenInput.pair);
 
     // Get pair address from config or user input
     let pairAddress;
     if (tokenInput.pairAddress) {
       pairAddress = ethers.getAddress(tokenInput.pairAddress);
     } else {
-      pairAddress = config.addresses[tokenInput.pair];
+      pairAddress = this.chain.addresses[tokenInput.pair];
       if (!pairAddress) {
-        throw new Error(`Unknown pair token: ${tokenInput.pair}. Please provide pairAddress or use WBNB/USDC/USDT/BUSD`);
+        throw new Error(`Unknown pair token: ${tokenInput.pair}. Please provide pairAddress or use ${Object.keys(this.chain.addresses).join('/')}`);
       }
     }
 
-    // Determine DEX type (default to Uniswap for backward compatibility)
-    const dex = tokenInput.dex || 'uniswap';
-    const dexName = dex.toLowerCase();
+    // Determine DEX ('uniswap' is kept as the legacy name of the default DEX on chains without it)
+    let dexName = (tokenInput.dex || this.chain.defaultDex).toLowerCase();
+    if (dexName === 'uniswap' && !this.chain.dexes.uniswap) {
+      dexName = this.chain.defaultDex;
+    }
+
+    // Pool handled by a registered DEX adapter: by type, or by the dex and version it declares
+    const adapter = tokenInput.type
+      ? this.adapters.get(tokenInput.type)
+      : this.adapters.findByDex(dexName, tokenInput.version ?? 3);
+    if (tokenInput.type && !adapter) {
+      throw new Error(`No adapter for pool type ${tokenInput.type}. Registered: ${this.adapters.list().map(a => a.type).join(', ')}`);
+    }
+
+    let poolType, description, dex = null;
+    if (adapter) {
+      poolType = adapter.type;
+      description = `${tokenInput.pair} ${adapter.name || adapter.type}`;
+    } else if (tokenInput.version === 'stable') {
+      poolType = 'STABLESWAP';
+      description = `${tokenInput.pair} StableSwap`;
+    } else if (tokenInput.version === 'infinity') {
+      if (!this.chain.infinityPoolManager && !tokenInput.poolManager) {
+        throw new Error(`Infinity pools need a poolManager on ${this.chain.name}`);
+      }
+      poolType = 'INFINITY_CL';
+      description = `${tokenInput.pair} Infinity CL`;
+    } else if (tokenInput.version === 2) {
+      dex = this.getDex(dexName);
+      if (!dex) {
+        const adapterDexes = this.adapters.list().map(a => a.dex).filter(Boolean);
+        throw new Error(`Unknown dex: ${tokenInput.dex}. Supported: ${[...new Set([...adapterDexes, ...Object.keys(this.chain.dexes)])].join(', ')}`);
+      }
+      poolType = 'V2';
+      description = dexName === this.chain.defaultDex ? `${tokenInput.pair} V2` : `${tokenInput.pair} ${dex.name} V2`;
 
-    let poolType, description;
-    if (dexName === 'aerodrome') {
-      poolType = tokenInput.version === 2 ? 'AERODROME_V2' : 'AERODROME_V3';
-      description = `${tokenInput.pair} Aerodrome ${tokenInput.version === 2 ? 'V2' : 'V3'}`;
+      // Derive the pair from the factory when no pool address was given
+      if (!poolAddress) {
+        poolAddress = this.getV2PairAddress(dex, tokenAddress, pairAddress);
+      }
     } else {
-      // Default: Uniswap
-      poolType = tokenInput.version === 2 ? 'V2' : 'V3';
-      description = `${tokenInput.pair} ${tokenInput.version === 2 ? 'V2' : 'V3'}`;
+      poolType = 'V3';
+      description = `${tokenInput.pair} V3`;
     }
 
     const poolConfig = {
@@ -684,15 +1507,39 @@ class PriceMonitor {
       priority: tokenInput.priority || 1
     };
 
-    if (tokenInput.version === 3 || poolType === 'AERODROME_V3') {
+    if (tokenInput.version === 3 || (adapter && tokenInput.fee !== undefined)) {
       poolConfig.fee = tokenInput.fee;
     }
 
+    if (tokenInput.type && tokenInput.params) {
+      poolConfig.params = tokenInput.params; // Adapter-specific settings
+    }
+
+    if (poolType === 'V2') {
+      poolConfig.feeBps = tokenInput.feeBps ?? dex.feeBps;
+      poolConfig.abi = dex.abi;
+    }
+
+    if (poolType === 'STABLESWAP' && tokenInput.nCoins) {
+      poolConfig.nCoins = tokenInput.nCoins;
+    }
+
+    if (poolType === 'INFINITY_CL') {
+      poolConfig.poolId = poolAddress;
+      poolConfig.poolManager = tokenInput.poolManager || this.chain.infinityPoolManager;
+    }
+
     return {
-      name: tokenInput.name || `Token ${tokenAddress.slice(0, 6)}`,
-      symbol: tokenInput.symbol || 'TKN',
-      decimals: tokenInput.decimals || 18,
+      name: tokenInput.name || metadata?.name || `Token ${tokenAddress.slice(0, 6)}`,
+      symbol: tokenInput.symbol || metadata?.symbol || 'TKN',
+      // On-chain decimals win over client values (labels are kept as sent)
+      decimals: metadata?.decimals ?? tokenInput.decimals ?? 18,
       address: tokenAddress,
+      lockedAddresses: (tokenInput.lockedAddresses || []).map(address => ethers.getAddress(address)),
+      aggregation: tokenInput.aggregation,
+      outlierStrategy: tokenInput.outlierStrategy,
+      priceMode: tokenInput.priceMode || 'spot',
+      twapWindow: tokenInput.twapWindow,
       pools: [poolConfig]
     };
   }
@@ -729,15 +1576,22 @@ class PriceMonitor {
 
       console.log(`   ✅ Pool has liquidity`);
 
+      // Seed TWAP state before the first price (TWAP mode only)
+      await this.updateTokenTwap(tokenAddress, activePools, tokenConfig);
+
       // Calculate initial price
       const initialPrice = await this.calculatePrice(tokenAddress, activePools, tokenConfig);
 
+      // Load on-chain supply for market cap / FDV
+      const supply = await this.loadTokenSupply(tokenAddress, tokenConfig);
+
       // Store token data
       this.monitoredTokens.set(tokenAddress, {
         config: tokenConfig,
         pools: activePools,
         lastPrice: initialPrice,
         lastUpdate: Date.now(),
+        supply,
         isDynamic: true  // Mark as dynamically added
       });
 
@@ -762,6 +1616,163 @@ class PriceMonitor {
     }
   }
   
+  // ==================== DEX REGISTRY ====================
+
+  /**
+   * V2 fork registry entry from the chain's DEX set, defaults to the chain's defaultDex
+   * @returns {Object|null} { name, factory, initCodeHash, feeBps, abi }
+   */
+  getDex(dexName) {
+    return this.chain.dexes[(dexName || this.chain.defaultDex).toLowerCase()] || null;
+  }
+
+  /**
+   * CREATE2 pair address: salt = keccak256(token0, token1) with the tokens sorted
+   */
+  getV2PairAddress(dex, tokenA, tokenB) {
+    const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    const salt = ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+    return ethers.getCreate2Address(dex.factory, salt, dex.initCodeHash).toLowerCase();
+  }
+
+  /**
+   * V2 swap fee in bps: on-chain pair fee, then the pool's `feeBps`, then its DEX
+   */
+  getV2FeeBps(pool) {
+    const dex = this.getDex(pool.config.dex) || this.getDex();
+    return pool.feeBps ?? pool.config.feeBps ?? dex.feeBps;
+  }
+
+  // ==================== POOL DISCOVERY ====================
+
+  /**
+   * Find pools for a token against every base token of the chain's discovery entry
+   * (V2 getPair and V3 getPool for each fee tier). Pools without liquidity
+   * are dropped, the rest are ranked by the USD value of the base token they hold.
+   * @param {String} tokenAddress - Token address
+   * @returns {Object} { tokenAddress, name, symbol, decimals, pools: [poolConfig] }
+   */
+  async discoverPools(tokenAddress) {
+    tokenAddress = ethers.getAddress(tokenAddress).toLowerCase();
+    const { discovery } = this.chain;
+
+    const v2Factory = new ethers.Contract(
+      discovery.v2Factory,
+      ['function getPair(address tokenA, address tokenB) view returns (address pair)'],
+      this.reader
+    );
+    const v3Factory = new ethers.Contract(
+      discovery.v3Factory,
+      ['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)'],
+      this.reader
+    );
+
+    const candidates = [];
+    for (const pair of discovery.knownPairs) {
+      const pairAddress = this.chain.addresses[pair];
+      if (!pairAddress || pairAddress.toLowerCase() === tokenAddress) continue;
+
+      candidates.push({ pair, pairAddress, version: 2 });
+      for (const fee of discovery.v3FeeTiers) {
+        candidates.push({ pair, pairAddress, version: 3, fee });
+      }
+    }
+
+    const lookups = await Promise.allSettled(candidates.map(c => (c.version === 2
+      ? v2Factory.getPair(tokenAddress, c.pairAddress)
+      : v3Factory.getPool(tokenAddress, c.pairAddress, c.fee))));
+
+    const found = candidates
+      .map((c, i) => ({ ...c, address: lookups[i].status === 'fulfilled' ? lookups[i].value : ethers.ZeroAddress }))
+      .filter(c => c.address !== ethers.ZeroAddress);
+
+    const pools = [];
+    await Promise.all(found.map(async (candidate) => {
+      try {
+        const pool = await this.checkDiscoveredPool(candidate);
+        if (pool) pools.push(pool);
+      } catch (error) {
+        console.warn(`   ⚠️  Skipping ${candidate.address.slice(0, 10)}: ${error.message}`);
+      }
+    }));
+
+    // Deepest pool gets priority 1
+    pools.sort((a, b) => b.pairLiquidityUSD - a.pairLiquidityUSD);
+    pools.forEach((pool, i) => {
+      pool.priority = i + 1;
+    });
+
+    const metadata = await this.getTokenMetadata(tokenAddress);
+    const name = metadata?.name ?? null;
+    const symbol = metadata?.symbol ?? null;
+    const decimals = metadata?.decimals ?? await this.getTokenDecimalsByAddress(tokenAddress);
+
+    console.log(`🔎 Discovered ${pools.length} pool(s) with liquidity for ${symbol || tokenAddress.slice(0, 10)}`);
+
+    return { tokenAddress, name, symbol, decimals, pools };
+  }
+
+  /**
+   * Build a pool config for a factory hit, or null if the pool has no liquidity
+   */
+  async checkDiscoveredPool({ pair, pairAddress, version, fee, address }) {
+    const poolContract = new ethers.Contract(
+      address,
+      [
+        'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)',
+        'function liquidity() view returns (uint128)'
+      ],
+      this.reader
+    );
+
+    if (version === 2) {
+      const reserves = await poolContract.getReserves();
+      if (reserves[0] === 0n || reserves[1] === 0n) return null;
+    } else if (await poolContract.liquidity() === 0n) {
+      return null;
+    }
+
+    // Base token balance works for both versions (V3 has no reserves)
+    const pairToken = new ethers.Contract(pairAddress, config.abis.erc20, this.reader);
+    const [balance, pairDecimals] = await Promise.all([
+      pairToken.balanceOf(address),
+      this.getTokenDecimalsByAddress(pairAddress)
+    ]);
+
+    const poolConfig = {
+      address: address.toLowerCase(),
+      type: version === 2 ? 'V2' : 'V3',
+      version,
+      dex: this.chain.defaultDex,
+      pair,
+      pairAddress,
+      pairIsAgent: false,
+      description: version === 2 ? `${pair} V2` : `${pair} V3 ${fee / 10000}%`,
+      pairLiquidityUSD: Number(ethers.formatUnits(balance, pairDecimals)) * this.getPairPriceUSD({ pair })
+    };
+
+    if (version === 3) {
+      poolConfig.fee = fee;
+    }
+
+    return poolConfig;
+  }
+
+  /**
+   * Token config for discovered pools (same shape as buildTokenConfig)
+   */
+  buildDiscoveredTokenConfig(discovery) {
+    return {
+      name: discovery.name || `Token ${discovery.tokenAddress.slice(0, 6)}`,
+      symbol: discovery.symbol || 'TKN',
+      decimals: discovery.decimals,
+      address: discovery.tokenAddress,
+      lockedAddresses: [],
+      priceMode: 'spot',
+      pools: discovery.pools
+    };
+  }
+
   async loadPools(tokenAddress, tokenConfig) {
     const activePools = [];
     
@@ -772,12 +1783,15 @@ class PriceMonitor {
         console.log(`   Checking ${poolConfig.description}...`);
 
         let poolInfo;
-        if (poolConfig.type === 'AERODROME_V2') {
-          poolInfo = await this.loadAerodromeV2Pool(poolConfig, tokenAddress);
-        } else if (poolConfig.type === 'AERODROME_V3') {
-          poolInfo = await this.loadAerodromeV3Pool(poolConfig, tokenAddress);
+        const adapter = this.adapters.get(poolConfig.type);
+        if (adapter) {
+          poolInfo = await adapter.loadPool(poolConfig, tokenAddress, this.adapterContext);
         } else if (poolConfig.type === 'V2') {
           poolInfo = await this.loadV2Pool(poolConfig, tokenAddress);
+        } else if (poolConfig.type === 'STABLESWAP') {
+          poolInfo = await this.loadStableSwapPool(poolConfig, tokenAddress);
+        } else if (poolConfig.type === 'INFINITY_CL') {
+          poolInfo = await this.loadInfinityClPool(poolConfig, tokenAddress);
         } else {
           poolInfo = await this.loadV3Pool(poolConfig, tokenAddress);
         }
@@ -805,7 +1819,7 @@ class PriceMonitor {
   }
   
   async loadV2Pool(poolConfig, tokenAddress) {
-    const pairAddress = poolConfig.pairAddress || config.addresses[poolConfig.pair];
+    const pairAddress = poolConfig.pairAddress || this.chain.addresses[poolConfig.pair];
     if (!pairAddress) {
       throw new Error(`Unknown pair token: ${poolConfig.pair}`);
     }
@@ -815,15 +1829,18 @@ class PriceMonitor {
       [
         'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)',
         'function token0() view returns (address)',
-        'function token1() view returns (address)'
+        'function token1() view returns (address)',
+        'function swapFee() view returns (uint32)'
       ],
-      this.provider
+      this.reader
     );
 
-    const [reserves, token0, token1] = await Promise.all([
+    const [reserves, token0, token1, swapFee] = await Promise.all([
       poolContract.getReserves(),
       poolContract.token0(),
-      poolContract.token1()
+      poolContract.token1(),
+      // Biswap pairs set their own fee in tenths of a percent
+      poolConfig.abi === 'biswap' ? poolContract.swapFee() : null
     ]);
 
     const hasLiquidity = reserves[0] > 0n && reserves[1] > 0n;
@@ -855,13 +1872,14 @@ class PriceMonitor {
       decimals1: decimals1Actual,
       reserve0: reserves[0],
       reserve1: reserves[1],
+      feeBps: swapFee !== null ? Number(swapFee) * 10 : undefined,
       hasLiquidity,
       config: poolConfig  // Keep pool config for reference
     };
   }
   
   async loadV3Pool(poolConfig, tokenAddress) {
-    const pairAddress = poolConfig.pairAddress || config.addresses[poolConfig.pair];
+    const pairAddress = poolConfig.pairAddress || this.chain.addresses[poolConfig.pair];
     if (!pairAddress) {
       throw new Error(`Unknown pair token: ${poolConfig.pair}`);
     }
@@ -875,7 +1893,7 @@ class PriceMonitor {
         'function token1() view returns (address)',
         'function fee() view returns (uint24)'
       ],
-      this.provider
+      this.reader
     );
     
     const [liquidity, slot0, token0, token1, fee] = await Promise.all([
@@ -912,7 +1930,7 @@ class PriceMonitor {
     console.log(`         token0=${token0.slice(0,10)} (${decimals0Actual} decimals)`);
     console.log(`         token1=${token1.slice(0,10)} (${decimals1Actual} decimals)`);
 
-    return {
+    const poolInfo = {
       address: poolConfig.address,
       type: 'V3',
       token0: token0.toLowerCase(),
@@ -926,163 +1944,309 @@ class PriceMonitor {
       hasLiquidity,
       config: poolConfig  // Keep pool config for reference
     };
-  }
 
-  async loadAerodromeV2Pool(poolConfig, tokenAddress) {
-    const pairAddress = poolConfig.pairAddress || config.addresses[poolConfig.pair];
-    if (!pairAddress) {
-      throw new Error(`Unknown pair token: ${poolConfig.pair}`);
+    // Tick data is optional - quotes and depth fall back to constant liquidity
+    if (hasLiquidity) {
+      try {
+        await this.loadV3Ticks(poolInfo);
+      } catch (error) {
+        console.error(`[V3 Pool] ⚠️  Failed to load ticks: ${error.message}`);
+      }
     }
 
-    const poolContract = new ethers.Contract(
-      poolConfig.address,
-      [
-        'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)',
-        'function token0() view returns (address)',
-        'function token1() view returns (address)'
-      ],
-      this.provider
-    );
+    return poolInfo;
+  }
 
-    const [reserves, token0, token1] = await Promise.all([
-      poolContract.getReserves(),
-      poolContract.token0(),
-      poolContract.token1()
-    ]);
+  /**
+   * Load initialized ticks within ±tickLoadRange of the current price
+   * Sets pool.tickSpacing, pool.ticks ([{ tick, liquidityNet, liquidityGross }] sorted)
+   * and pool.tickRange (the tick interval covered, anything outside is unknown).
+   * Infinity CL pools read the same data from the CLPoolManager by pool id.
+   */
+  async loadV3Ticks(pool) {
+    let readBitmap, readTick;
+    if (pool.type === 'INFINITY_CL') {
+      const manager = new ethers.Contract(pool.poolManager, config.abis.infinityClPoolManager, this.reader);
+      readBitmap = word => manager.getPoolBitmapInfo(pool.poolId, word);
+      readTick = tick => manager.getPoolTickInfo(pool.poolId, tick);
+    } else {
+      const poolContract = new ethers.Contract(
+        pool.address,
+        [
+          'function tickSpacing() view returns (int24)',
+          'function tickBitmap(int16 wordPosition) view returns (uint256)',
+          'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256, uint256, int56, uint160, uint32, bool initialized)'
+        ],
+        this.reader
+      );
+      readBitmap = word => poolContract.tickBitmap(word);
+      readTick = tick => poolContract.ticks(tick);
 
-    const hasLiquidity = reserves[0] > 0n && reserves[1] > 0n;
+      if (!pool.tickSpacing) {
+        pool.tickSpacing = Number(await poolContract.tickSpacing());
+      }
+    }
 
-    // CRITICAL: Validate that the token is actually in this pool
-    const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-    const isToken1 = token1.toLowerCase() === tokenAddress.toLowerCase();
-    if (!isToken0 && !isToken1) {
-      console.error(`[Aerodrome V2] ❌ Token ${tokenAddress.slice(0,10)} is NOT in pool ${poolConfig.address.slice(0,10)}`);
-      console.error(`               Pool contains: token0=${token0.slice(0,10)}, token1=${token1.slice(0,10)}`);
-      throw new Error(`Token ${tokenAddress} not found in pool. Pool contains ${token0} and ${token1}`);
+    // Each bitmap word covers 256 tick spacings
+    const { tickLoadRange, maxTickWords } = config.settings;
+    const ticksNeeded = Math.log(1 + tickLoadRange) / Math.log(1.0001);
+    const words = Math.min(Math.ceil(ticksNeeded / (pool.tickSpacing * 256)), maxTickWords);
+    const centerWord = Math.floor(pool.tick / pool.tickSpacing) >> 8;
+
+    const wordPositions = [];
+    for (let word = centerWord - words; word <= centerWord + words; word++) {
+      wordPositions.push(word);
     }
+    const bitmaps = await Promise.all(wordPositions.map(readBitmap));
 
-    // Get actual decimals for both tokens from the blockchain
-    const [decimals0Actual, decimals1Actual] = await Promise.all([
-      this.getTokenDecimalsByAddress(token0),
-      this.getTokenDecimalsByAddress(token1)
-    ]);
-    console.log(`[Aerodrome V2] Token ${tokenAddress.slice(0,10)} isToken0=${isToken0}`);
-    console.log(`               token0=${token0.slice(0,10)} (${decimals0Actual} decimals)`);
-    console.log(`               token1=${token1.slice(0,10)} (${decimals1Actual} decimals)`);
+    const initializedTicks = [];
+    bitmaps.forEach((bitmap, i) => {
+      for (let bit = 0; bit < 256 && bitmap > 0n; bit++) {
+        if ((bitmap >> BigInt(bit)) & 1n) {
+          initializedTicks.push(((wordPositions[i] << 8) + bit) * pool.tickSpacing);
+        }
+      }
+    });
 
-    return {
-      address: poolConfig.address,
-      type: 'AERODROME_V2',
-      token0: token0.toLowerCase(),
-      token1: token1.toLowerCase(),
-      decimals0: decimals0Actual,
-      decimals1: decimals1Actual,
-      reserve0: reserves[0],
-      reserve1: reserves[1],
-      hasLiquidity,
-      config: poolConfig
+    // [liquidityGross, liquidityNet, ...] from both sources
+    const tickData = await Promise.all(initializedTicks.map(readTick));
+
+    pool.ticks = initializedTicks.map((tick, i) => ({
+      tick,
+      liquidityNet: tickData[i][1].toString(),
+      liquidityGross: tickData[i][0].toString()
+    }));
+    pool.tickRange = {
+      lower: (centerWord - words) * 256 * pool.tickSpacing,
+      upper: (centerWord + words + 1) * 256 * pool.tickSpacing - 1
     };
+
+    console.log(`[V3 Pool] Loaded ${pool.ticks.length} initialized ticks (${wordPositions.length} words)`);
+  }
+
+  /**
+   * Reload ticks once the price leaves the loaded range (runs in the background)
+   */
+  refreshV3TicksIfNeeded(pool) {
+    if (!pool.tickRange || pool.ticksLoading) return;
+    if (pool.tick >= pool.tickRange.lower && pool.tick <= pool.tickRange.upper) return;
+
+    pool.ticksLoading = true;
+    this.loadV3Ticks(pool)
+      .catch(err => {
+        console.error('Tick reload error:', err.message);
+        this.metrics.addError(err);
+      })
+      .finally(() => {
+        pool.ticksLoading = false;
+      });
   }
 
-  async loadAerodromeV3Pool(poolConfig, tokenAddress) {
-    const pairAddress = poolConfig.pairAddress || config.addresses[poolConfig.pair];
+  /**
+   * Apply a Mint (positive delta) or Burn (negative delta) to cached tick and liquidity state
+   */
+  applyV3LiquidityChange(pool, tickLower, tickUpper, delta) {
+    if (pool.ticks) {
+      this.updateV3Tick(pool, tickLower, delta, delta);
+      this.updateV3Tick(pool, tickUpper, -delta, delta);
+    }
+
+    // Positions spanning the current tick change the active liquidity
+    if (pool.tick >= tickLower && pool.tick < tickUpper) {
+      pool.liquidity = (BigInt(pool.liquidity) + delta).toString();
+    }
+  }
+
+  /**
+   * Burned amounts of a V3 position are owed to its owner until collected
+   * @param {BigInt} sign - 1n for a Burn, -1n to undo one (removed log)
+   */
+  addV3OwedPrincipal(pool, owner, tickLower, tickUpper, amount0, amount1, sign = 1n) {
+    pool.owedPrincipal = pool.owedPrincipal || new Map(); // owner:tickLower:tickUpper → [amount0, amount1]
+    const key = `${owner.toLowerCase()}:${tickLower}:${tickUpper}`;
+    const [owed0, owed1] = pool.owedPrincipal.get(key) || [0n, 0n];
+    const max = (a, b) => (a > b ? a : b);
+    const next = [max(owed0 + sign * amount0, 0n), max(owed1 + sign * amount1, 0n)];
+    if (next[0] === 0n && next[1] === 0n) {
+      pool.owedPrincipal.delete(key);
+    } else {
+      pool.owedPrincipal.set(key, next);
+    }
+  }
+
+  /**
+   * Split a Collect into burned principal (already reported as `remove`) and fees
+   * @returns {Array} [fee0, fee1]
+   */
+  settleV3Collect(pool, owner, tickLower, tickUpper, amount0, amount1) {
+    const key = `${owner.toLowerCase()}:${tickLower}:${tickUpper}`;
+    const [owed0, owed1] = pool.owedPrincipal?.get(key) || [0n, 0n];
+    const principal0 = amount0 < owed0 ? amount0 : owed0;
+    const principal1 = amount1 < owed1 ? amount1 : owed1;
+    this.addV3OwedPrincipal(pool, owner, tickLower, tickUpper, principal0, principal1, -1n);
+    return [amount0 - principal0, amount1 - principal1];
+  }
+
+  updateV3Tick(pool, tick, netDelta, grossDelta) {
+    if (tick < pool.tickRange.lower || tick > pool.tickRange.upper) return;
+
+    let index = pool.ticks.findIndex(t => t.tick >= tick);
+    if (index === -1) index = pool.ticks.length;
+
+    let entry = pool.ticks[index];
+    if (!entry || entry.tick !== tick) {
+      entry = { tick, liquidityNet: '0', liquidityGross: '0' };
+      pool.ticks.splice(index, 0, entry);
+    }
+
+    entry.liquidityNet = (BigInt(entry.liquidityNet) + netDelta).toString();
+    entry.liquidityGross = (BigInt(entry.liquidityGross) + grossDelta).toString();
+
+    // Tick is uninitialized once no position references it
+    if (BigInt(entry.liquidityGross) <= 0n) {
+      pool.ticks.splice(index, 1);
+    }
+  }
+
+  async loadStableSwapPool(poolConfig, tokenAddress) {
+    const pairAddress = poolConfig.pairAddress || this.chain.addresses[poolConfig.pair];
     if (!pairAddress) {
       throw new Error(`Unknown pair token: ${poolConfig.pair}`);
     }
 
-    const poolContract = new ethers.Contract(
-      poolConfig.address,
-      [
-        'function liquidity() view returns (uint128)',
-        'function token0() view returns (address)',
-        'function token1() view returns (address)',
-        'function tickSpacing() view returns (int24)'
-      ],
-      this.provider
+    const poolContract = new ethers.Contract(poolConfig.address, config.abis.stableSwapPool, this.reader);
+
+    // 2-pool by default, set `nCoins: 3` for 3-pools
+    const nCoins = poolConfig.nCoins || 2;
+    const coins = await Promise.all(
+      Array.from({ length: nCoins }, (_, i) => poolContract.coins(i))
     );
+    const coinsLower = coins.map(coin => coin.toLowerCase());
+
+    // CRITICAL: Validate that the token and pair are actually in this pool
+    const tokenIndex = coinsLower.indexOf(tokenAddress.toLowerCase());
+    const pairIndex = coinsLower.indexOf(pairAddress.toLowerCase());
+    if (tokenIndex === -1 || pairIndex === -1) {
+      console.error(`[StableSwap] ❌ Token ${tokenAddress.slice(0,10)} or pair ${poolConfig.pair} is NOT in pool ${poolConfig.address.slice(0,10)}`);
+      throw new Error(`Token ${tokenAddress} or pair ${pairAddress} not found in pool. Pool contains ${coins.join(', ')}`);
+    }
 
-    // For Aerodrome V3, we need to get slot0 data
-    // Aerodrome V3 uses a slightly different slot0 structure
-    let slot0Data;
+    const [decimalsToken, decimalsPair, fee] = await Promise.all([
+      this.getTokenDecimalsByAddress(coins[tokenIndex]),
+      this.getTokenDecimalsByAddress(coins[pairIndex]),
+      poolContract.fee()
+    ]);
 
-    // Try method 1: Standard slot0 with 7 return values
-    try {
-      const slot0ABI = ['function slot0() view returns (uint160, int24, uint16, uint16, uint16, uint16, bool)'];
-      const slot0Contract = new ethers.Contract(poolConfig.address, slot0ABI, this.provider);
-      slot0Data = await slot0Contract.slot0();
-    } catch (e1) {
-      console.log(`     ⚠️  Method 1 failed, trying Uniswap V3 style...`);
+    // token0/token1 are the token and its pair in coin order, like the other pool types
+    const isToken0 = tokenIndex < pairIndex;
+    console.log(`[StableSwap] Token ${tokenAddress.slice(0,10)} is coin ${tokenIndex}, ${poolConfig.pair} is coin ${pairIndex}`);
 
-      // Try method 2: Uniswap V3 style slot0
-      try {
-        const slot0ABI2 = ['function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)'];
-        const slot0Contract2 = new ethers.Contract(poolConfig.address, slot0ABI2, this.provider);
-        slot0Data = await slot0Contract2.slot0();
-      } catch (e2) {
-        console.log(`     ⚠️  Method 2 failed, using raw call...`);
+    const pool = {
+      address: poolConfig.address,
+      type: 'STABLESWAP',
+      token0: isToken0 ? coinsLower[tokenIndex] : coinsLower[pairIndex],
+      token1: isToken0 ? coinsLower[pairIndex] : coinsLower[tokenIndex],
+      decimals0: isToken0 ? decimalsToken : decimalsPair,
+      decimals1: isToken0 ? decimalsPair : decimalsToken,
+      tokenIndex,
+      pairIndex,
+      fee: Number(fee), // 1e10 = 100%
+      config: poolConfig
+    };
 
-        // Try method 3: Raw call and manual decode
-        try {
-          const iface = new ethers.Interface(['function slot0()']);
-          const data = iface.encodeFunctionData('slot0', []);
-          const result = await this.provider.call({
-            to: poolConfig.address,
-            data: data
-          });
+    await this.refreshStableSwapState(pool, poolContract);
+    pool.hasLiquidity = pool.balances[tokenIndex] > 0n && pool.balances[pairIndex] > 0n;
 
-          // Manually decode: first 32 bytes = sqrtPriceX96, next 32 bytes = tick
-          const sqrtPriceX96 = BigInt('0x' + result.slice(2, 66));
-          const tickHex = result.slice(66, 130);
-          const tick = parseInt(tickHex, 16);
+    return pool;
+  }
 
-          slot0Data = [sqrtPriceX96, tick < 0x80000000 ? tick : tick - 0x100000000];
-          console.log(`     ✅ Raw decode successful`);
-        } catch (e3) {
-          throw new Error(`All methods failed to read Aerodrome V3 slot0: ${e3.message}`);
-        }
-      }
-    }
+  /**
+   * Refresh coin balances and the get_dy spot price (pair per token, fee removed)
+   * The invariant has no closed-form price, so the pool is asked for 1 whole token.
+   */
+  async refreshStableSwapState(pool, poolContract = null) {
+    poolContract = poolContract || new ethers.Contract(pool.address, config.abis.stableSwapPool, this.reader);
+
+    const isToken0 = pool.tokenIndex < pool.pairIndex;
+    const decimalsToken = isToken0 ? pool.decimals0 : pool.decimals1;
+    const decimalsPair = isToken0 ? pool.decimals1 : pool.decimals0;
+    const dx = 10n ** BigInt(decimalsToken);
+
+    const [balanceToken, balancePair, dy] = await Promise.all([
+      poolContract.balances(pool.tokenIndex),
+      poolContract.balances(pool.pairIndex),
+      poolContract.get_dy(pool.tokenIndex, pool.pairIndex, dx)
+    ]);
 
-    const [liquidity, token0, token1] = await Promise.all([
-      poolContract.liquidity(),
-      poolContract.token0(),
-      poolContract.token1()
+    pool.balances = { ...pool.balances, [pool.tokenIndex]: balanceToken, [pool.pairIndex]: balancePair };
+    pool.priceInPair = Number(ethers.formatUnits(dy, decimalsPair)) / (1 - pool.fee / 1e10);
+  }
+
+  /**
+   * PancakeSwap Infinity CL pool - state lives in the singleton CLPoolManager, keyed by pool id
+   * pool.address holds the pool id so the pool fits the address-keyed maps
+   */
+  async loadInfinityClPool(poolConfig, tokenAddress) {
+    const poolId = (poolConfig.poolId || poolConfig.address).toLowerCase();
+    const managerAddress = poolConfig.poolManager || this.chain.infinityPoolManager;
+    const manager = new ethers.Contract(managerAddress, config.abis.infinityClPoolManager, this.reader);
+
+    const [key, slot0, liquidity] = await Promise.all([
+      manager.poolIdToPoolKey(poolId),
+      manager.getSlot0(poolId),
+      manager.getLiquidity(poolId)
     ]);
 
-    const hasLiquidity = liquidity > 0n;
+    // Native BNB is currency address(0)
+    const currency0 = key[0].toLowerCase();
+    const currency1 = key[1].toLowerCase();
+    if (currency0 === ethers.ZeroAddress && currency1 === ethers.ZeroAddress) {
+      throw new Error(`Pool id ${poolId} is not initialized in ${managerAddress}`);
+    }
 
     // CRITICAL: Validate that the token is actually in this pool
-    const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
-    const isToken1 = token1.toLowerCase() === tokenAddress.toLowerCase();
+    const isToken0 = currency0 === tokenAddress.toLowerCase();
+    const isToken1 = currency1 === tokenAddress.toLowerCase();
     if (!isToken0 && !isToken1) {
-      console.error(`[Aerodrome V3] ❌ Token ${tokenAddress.slice(0,10)} is NOT in pool ${poolConfig.address.slice(0,10)}`);
-      console.error(`               Pool contains: token0=${token0.slice(0,10)}, token1=${token1.slice(0,10)}`);
-      throw new Error(`Token ${tokenAddress} not found in pool. Pool contains ${token0} and ${token1}`);
+      console.error(`[Infinity CL] ❌ Token ${tokenAddress.slice(0,10)} is NOT in pool ${poolId.slice(0,10)}`);
+      throw new Error(`Token ${tokenAddress} not found in pool. Pool contains ${currency0} and ${currency1}`);
     }
 
-    // Get actual decimals for both tokens from the blockchain
-    const [decimals0Actual, decimals1Actual] = await Promise.all([
-      this.getTokenDecimalsByAddress(token0),
-      this.getTokenDecimalsByAddress(token1)
-    ]);
-    console.log(`[Aerodrome V3] Token ${tokenAddress.slice(0,10)} isToken0=${isToken0}`);
-    console.log(`               token0=${token0.slice(0,10)} (${decimals0Actual} decimals)`);
-    console.log(`               token1=${token1.slice(0,10)} (${decimals1Actual} decimals)`);
-
-    return {
-      address: poolConfig.address,
-      type: 'AERODROME_V3',
-      token0: token0.toLowerCase(),
-      token1: token1.toLowerCase(),
+    const decimalsOf = (currency) => (currency === ethers.ZeroAddress ? 18 : this.getTokenDecimalsByAddress(currency));
+    const [decimals0Actual, decimals1Actual] = await Promise.all([decimalsOf(currency0), decimalsOf(currency1)]);
+    console.log(`[Infinity CL] Token ${tokenAddress.slice(0,10)} isToken0=${isToken0}`);
+    console.log(`              currency0=${currency0.slice(0,10)} (${decimals0Actual} decimals)`);
+    console.log(`              currency1=${currency1.slice(0,10)} (${decimals1Actual} decimals)`);
+
+    const poolInfo = {
+      address: poolId,
+      poolId,
+      poolManager: managerAddress,
+      type: 'INFINITY_CL',
+      token0: currency0,
+      token1: currency1,
       decimals0: decimals0Actual,
       decimals1: decimals1Actual,
-      fee: poolConfig.fee, // Use fee from config
-      sqrtPriceX96: slot0Data[0].toString(),
-      tick: Number(slot0Data[1]),
+      fee: Number(slot0[3]), // lpFee, can change on dynamic-fee pools
+      sqrtPriceX96: slot0[0].toString(),
+      tick: Number(slot0[1]),
+      // CL pool parameters: hook registration bitmap in bits 0-15, tick spacing in bits 16-39
+      tickSpacing: Number(BigInt.asIntN(24, BigInt(key[5]) >> 16n)),
       liquidity: liquidity.toString(),
-      hasLiquidity,
+      hasLiquidity: liquidity > 0n,
       config: poolConfig
     };
+
+    // Same optional tick data as V3 pools
+    if (poolInfo.hasLiquidity) {
+      try {
+        await this.loadV3Ticks(poolInfo);
+      } catch (error) {
+        console.error(`[Infinity CL] ⚠️  Failed to load ticks: ${error.message}`);
+      }
+    }
+
+    return poolInfo;
   }
 
   getTokenDecimals(tokenSymbol) {
@@ -1097,7 +2261,7 @@ class PriceMonitor {
       return standardDecimals[tokenSymbol];
     }
 
-    for (const [address, agentConfig] of Object.entries(config.agentTokens || {})) {
+    for (const [address, agentConfig] of Object.entries(this.chain.agentTokens || {})) {
       if (agentConfig.symbol === tokenSymbol) {
         return agentConfig.decimals;
       }
@@ -1125,12 +2289,17 @@ class PriceMonitor {
       return knownDecimals[addr];
     }
 
+    const cached = this.tokenMetadata.get(addr);
+    if (cached) {
+      return cached.decimals;
+    }
+
     // Try to fetch from contract
     try {
       const tokenContract = new ethers.Contract(
         tokenAddress,
         ['function decimals() view returns (uint8)'],
-        this.provider
+        this.reader
       );
       const decimals = await tokenContract.decimals();
       console.log(`[PriceMonitor] Fetched decimals for ${tokenAddress}: ${decimals}`);
@@ -1140,7 +2309,297 @@ class PriceMonitor {
       return 18;
     }
   }
-  
+  
+  // ==================== TWAP ====================
+
+  getTwapWindow(tokenConfig) {
+    return tokenConfig.twapWindow || config.settings.defaultTwapWindow;
+  }
+
+  /**
+   * Periodic refresh; swaps do not move the TWAP, so TWAP-mode tokens are repriced
+   * here for their alert threshold to be checked
+   */
+  async updateAllTwaps() {
+    for (const [tokenAddress, tokenData] of this.monitoredTokens) {
+      if (tokenData.config.priceMode !== 'twap') continue;
+
+      await this.updateTokenTwap(tokenAddress, tokenData.pools, tokenData.config);
+      await this.handlePriceUpdate(tokenAddress);
+    }
+  }
+
+  /**
+   * Refresh `twapPriceInPair` and `twapSeconds` (time actually covered) on each pool
+   * of a TWAP-mode token. V3 uses observe(); V2 diffs price cumulative snapshots taken
+   * on each refresh, over less than the window until the snapshots span it. Adapter
+   * pools use the adapter's twap().
+   */
+  async updateTokenTwap(tokenAddress, pools, tokenConfig) {
+    if (tokenConfig.priceMode !== 'twap') return;
+
+    const windowSec = this.getTwapWindow(tokenConfig);
+
+    for (const pool of pools) {
+      try {
+        const adapter = this.adapters.get(pool.type);
+        if (adapter) {
+          pool.twapPriceInPair = adapter.twap
+            ? await adapter.twap(pool, tokenAddress, windowSec, this.adapterContext)
+            : null;
+        } else if (pool.type === 'V2') {
+          pool.twapPriceInPair = await this.getV2TwapPrice(pool, tokenAddress, windowSec);
+        } else if (pool.type === 'V3') {
+          pool.twapPriceInPair = await this.getV3TwapPrice(pool, tokenAddress, windowSec);
+        } else {
+          pool.twapPriceInPair = null; // No cumulative price oracle
+        }
+      } catch (error) {
+        // Usually observation cardinality too small for the window
+        pool.twapPriceInPair = null;
+        pool.twapSeconds = null;
+        if (config.settings.enableDebugLogs) {
+          console.log(`   ⚠️  TWAP unavailable for ${pool.address.slice(0, 10)}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  async getV3TwapPrice(pool, tokenAddress, windowSec) {
+    const poolContract = new ethers.Contract(
+      pool.address,
+      ['function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)'],
+      this.reader
+    );
+
+    const [tickCumulatives] = await poolContract.observe([windowSec, 0]);
+    const averageTick = Number(tickCumulatives[1] - tickCumulatives[0]) / windowSec;
+    pool.twapSeconds = windowSec;
+
+    // price = 1.0001^tick (token1/token0 raw), adjusted for decimals
+    let rawPrice = Math.pow(1.0001, averageTick);
+    if (pool.decimals0 !== pool.decimals1) {
+      rawPrice = rawPrice * Math.pow(10, pool.decimals0 - pool.decimals1);
+    }
+
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    return isToken0 ? rawPrice : (1 / rawPrice);
+  }
+
+  async getV2TwapPrice(pool, tokenAddress, windowSec) {
+    const poolContract = new ethers.Contract(
+      pool.address,
+      [
+        'function price0CumulativeLast() view returns (uint256)',
+        'function price1CumulativeLast() view returns (uint256)',
+        'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+      ],
+      this.reader
+    );
+
+    const [price0Cumulative, price1Cumulative, reserves, block] = await Promise.all([
+      poolContract.price0CumulativeLast(),
+      poolContract.price1CumulativeLast(),
+      poolContract.getReserves(),
+      this.provider.getBlock('latest')
+    ]);
+
+    // Counterfactual cumulatives at the current block (as in UniswapV2OracleLibrary)
+    const Q112 = 2n ** 112n;
+    const now = block.timestamp;
+    const elapsed = BigInt((now - Number(reserves[2]) + 2 ** 32) % 2 ** 32);
+    let cumulative0 = price0Cumulative;
+    let cumulative1 = price1Cumulative;
+    if (elapsed > 0n && reserves[0] > 0n && reserves[1] > 0n) {
+      cumulative0 += (reserves[1] * Q112 / reserves[0]) * elapsed;
+      cumulative1 += (reserves[0] * Q112 / reserves[1]) * elapsed;
+    }
+
+    // Keep snapshots covering the window plus the newest one older than it
+    const snapshots = [...(pool.twapSnapshots || []), { timestamp: now, cumulative0, cumulative1 }];
+    const baseIndex = snapshots.findLastIndex(snap => snap.timestamp <= now - windowSec);
+    pool.twapSnapshots = baseIndex > 0 ? snapshots.slice(baseIndex) : snapshots;
+
+    // Warming up: average since the first snapshot (taken when the pool was loaded)
+    const base = snapshots[Math.max(baseIndex, 0)];
+    pool.twapSeconds = Math.min(now - base.timestamp, windowSec);
+    if (now <= base.timestamp) return null;
+
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    const MOD = 2n ** 256n; // Cumulatives are allowed to overflow
+    const diff = isToken0
+      ? (cumulative0 - base.cumulative0 + MOD) % MOD
+      : (cumulative1 - base.cumulative1 + MOD) % MOD;
+    const rawPrice = Number(diff / BigInt(now - base.timestamp)) / Number(Q112);
+
+    // price0 is token1/token0 in raw units, price1 the inverse
+    return isToken0
+      ? rawPrice * Math.pow(10, pool.decimals0 - pool.decimals1)
+      : rawPrice * Math.pow(10, pool.decimals1 - pool.decimals0);
+  }
+
+  // ==================== TOKEN METADATA ====================
+
+  /**
+   * Name, symbol, decimals and totalSupply read from the token contract
+   * Cached per chain (config.settings.tokenMetadataDir) - returns null if the
+   * address does not answer decimals(), i.e. is not an ERC-20
+   * @param {String} tokenAddress - Token address
+   * @returns {Object|null} { name, symbol, decimals, totalSupply, updatedAt }
+   */
+  async getTokenMetadata(tokenAddress) {
+    const cached = this.tokenMetadata.get(tokenAddress);
+    if (cached) return cached;
+
+    const tokenContract = new ethers.Contract(tokenAddress, config.abis.erc20, this.reader);
+    const [name, symbol, decimals, totalSupply] = await Promise.all([
+      this.readTokenText(tokenAddress, 'name'),
+      this.readTokenText(tokenAddress, 'symbol'),
+      tokenContract.decimals().then(Number).catch(() => null),
+      tokenContract.totalSupply().catch(() => null)
+    ]);
+
+    if (decimals === null) {
+      console.warn(`   ⚠️  No decimals() on ${tokenAddress.slice(0, 10)} - metadata not resolved`);
+      return null;
+    }
+
+    const metadata = {
+      name,
+      symbol,
+      decimals,
+      totalSupply: totalSupply === null ? null : Number(ethers.formatUnits(totalSupply, decimals)),
+      updatedAt: Date.now()
+    };
+    this.tokenMetadata.set(tokenAddress, metadata);
+
+    console.log(`   🏷️  ${symbol || '?'} (${name || 'unnamed'}), ${decimals} decimals`);
+    return metadata;
+  }
+
+  /**
+   * name() / symbol() as a string - older tokens (e.g. MKR) return bytes32
+   * instead, which is decoded up to the first zero byte
+   */
+  async readTokenText(tokenAddress, method) {
+    const iface = new ethers.Interface(config.abis.erc20);
+    let data;
+    try {
+      data = await this.reader.call({ to: tokenAddress, data: iface.encodeFunctionData(method) });
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      return iface.decodeFunctionResult(method, data)[0].trim() || null;
+    } catch (error) {
+      if (ethers.dataLength(data) !== 32) return null;
+    }
+
+    try {
+      const bytes = ethers.getBytes(data);
+      const end = bytes.indexOf(0);
+      return ethers.toUtf8String(end === -1 ? bytes : bytes.slice(0, end)).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Client-supplied name/symbol/decimals that disagree with the chain
+   * @returns {Array<String>} One message per mismatching field
+   */
+  compareTokenMetadata(tokenInput, metadata) {
+    const warnings = [];
+
+    for (const field of ['name', 'symbol']) {
+      const supplied = tokenInput[field];
+      if (supplied && metadata[field] && supplied.trim().toLowerCase() !== metadata[field].toLowerCase()) {
+        warnings.push(`${field} "${supplied}" differs from on-chain "${metadata[field]}"`);
+      }
+    }
+
+    if (tokenInput.decimals !== undefined && tokenInput.decimals !== null
+      && Number(tokenInput.decimals) !== metadata.decimals) {
+      warnings.push(`decimals ${tokenInput.decimals} differs from on-chain ${metadata.decimals} (using ${metadata.decimals})`);
+    }
+
+    return warnings;
+  }
+
+  // ==================== TOKEN SUPPLY ====================
+
+  /**
+   * Fetch ERC-20 totalSupply and subtract balances held by burn/locked addresses
+   * Returns null on failure - market cap is optional, pricing must not depend on it
+   */
+  async loadTokenSupply(tokenAddress, tokenConfig) {
+    try {
+      const tokenContract = new ethers.Contract(tokenAddress, config.abis.erc20, this.reader);
+      const lockedAddresses = [
+        ...config.settings.burnAddresses,
+        ...(tokenConfig.lockedAddresses || [])
+      ];
+
+      const [totalSupplyRaw, decimals, ...balances] = await Promise.all([
+        tokenContract.totalSupply(),
+        this.getTokenDecimalsByAddress(tokenAddress),
+        ...lockedAddresses.map(address => tokenContract.balanceOf(address))
+      ]);
+
+      const lockedRaw = balances.reduce((sum, balance) => sum + balance, 0n);
+      const circulatingRaw = totalSupplyRaw > lockedRaw ? totalSupplyRaw - lockedRaw : 0n;
+
+      const supply = {
+        totalSupply: Number(ethers.formatUnits(totalSupplyRaw, decimals)),
+        circulatingSupply: Number(ethers.formatUnits(circulatingRaw, decimals)),
+        lockedSupply: Number(ethers.formatUnits(lockedRaw, decimals)),
+        updatedAt: Date.now()
+      };
+
+      if (config.settings.enableDebugLogs) {
+        console.log(`   📦 Supply: ${supply.circulatingSupply} circulating / ${supply.totalSupply} total`);
+      }
+
+      return supply;
+    } catch (error) {
+      console.warn(`   ⚠️  Failed to load supply for ${tokenAddress.slice(0, 10)}: ${error.message}`);
+      this.metrics.addError(error);
+      return null;
+    }
+  }
+
+  async updateAllSupplies() {
+    for (const [tokenAddress, tokenData] of this.monitoredTokens) {
+      const supply = await this.loadTokenSupply(tokenAddress, tokenData.config);
+      if (supply) {
+        tokenData.supply = supply;
+      }
+    }
+  }
+
+  /**
+   * Market cap / FDV fields for a price payload (nulls until supply is known)
+   */
+  getSupplyFields(tokenAddress, priceUSD) {
+    const supply = this.monitoredTokens.get(tokenAddress.toLowerCase())?.supply;
+    if (!supply) {
+      return {
+        totalSupply: null,
+        circulatingSupply: null,
+        marketCapUSD: null,
+        fdvUSD: null
+      };
+    }
+
+    return {
+      totalSupply: supply.totalSupply,
+      circulatingSupply: supply.circulatingSupply,
+      marketCapUSD: supply.circulatingSupply * priceUSD,
+      fdvUSD: supply.totalSupply * priceUSD
+    };
+  }
+
   // ==================== EVENT LISTENERS WITH TRACKING ====================
   
   async setupPoolListener(pool, tokenAddress) {
@@ -1185,16 +2644,24 @@ class PriceMonitor {
         dex: pool.config?.dex
       }));
 
-      if (pool.type === 'AERODROME_V2') {
-        await this.setupAerodromeV2Listener(pool, tokenAddress);
-      } else if (pool.type === 'AERODROME_V3') {
-        await this.setupAerodromeV3Listener(pool, tokenAddress);
+      const adapter = this.adapters.get(pool.type);
+      if (adapter) {
+        this.setupAdapterListener(adapter, pool, tokenAddress);
       } else if (pool.type === 'V2') {
         await this.setupV2Listener(pool, tokenAddress);
+      } else if (pool.type === 'STABLESWAP') {
+        await this.setupStableSwapListener(pool, tokenAddress);
+      } else if (pool.type === 'INFINITY_CL') {
+        await this.setupInfinityClListener(pool, tokenAddress);
       } else {
         await this.setupV3Listener(pool, tokenAddress);
       }
 
+      // Backfill starts from here until the pool's first swap
+      if (!this.poolCursors.has(normalizedPoolAddr) && this.lastBlock !== null) {
+        this.poolCursors.set(normalizedPoolAddr, { blockNumber: this.lastBlock, logIndex: Infinity });
+      }
+
       console.log(`       ✅ Listening to events`);
       
     } catch (error) {
@@ -1206,10 +2673,13 @@ class PriceMonitor {
   async setupV2Listener(pool, tokenAddress) {
     const abi = [
       'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+      'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+      'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+      'event Sync(uint112 reserve0, uint112 reserve1)',
       'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)'
     ];
 
-    const poolContract = new ethers.Contract(pool.address, abi, this.provider);
+    const poolContract = new ethers.Contract(pool.address, abi, this.getEventRunner());
 
     // CRITICAL: Normalize addresses to lowercase for consistent key matching
     const normalizedPoolAddr = pool.address.toLowerCase();
@@ -1220,12 +2690,14 @@ class PriceMonitor {
     this.activeListeners.set(listenerKey, {
       contract: poolContract,
       tokenAddress: normalizedTokenAddr,
-      poolType: 'V2'
+      poolAddress: normalizedPoolAddr,
+      poolType: 'V2',
+      swapEvent: 'Swap' // Replayed by backfillMissedEvents
     });
 
     this.poolContracts.set(normalizedPoolAddr, poolContract);
 
-    // Listen to Swap events only (Sync is redundant as Swap already updates reserves)
+    // Swap drives prices, Sync keeps reserves current (also after Mint/Burn), Mint/Burn go to clients
     // OPTIMIZED: Broadcast swap event IMMEDIATELY without waiting for reserves (saves 50-200ms)
     console.log(`     🎯 V2 Listener active for token=${normalizedTokenAddr} pool=${normalizedPoolAddr}`);
 
@@ -1252,12 +2724,18 @@ class PriceMonitor {
       console.log(`\n🔔 [V2 Swap Event Received] pool=${normalizedPoolAddr.slice(0,10)}, args count: ${args.length}`);
       this.metrics.increment('eventsReceived');
 
+      if (event.log?.removed) {
+        this.handleRemovedSwapLog(normalizedTokenAddr, event.log);
+        return;
+      }
+      if (this.isDuplicateSwapLog(normalizedTokenAddr, event.log)) return;
+
       // Determine buy/sell and amounts IMMEDIATELY from swap data (no RPC call needed)
       const isToken0 = pool.token0.toLowerCase() === normalizedTokenAddr;
       console.log(`   isToken0=${isToken0}, pool.token0=${pool.token0?.slice(0,10)}, token=${normalizedTokenAddr.slice(0,10)}`);
       const swapInfo = this.parseV2SwapInfo(
         amount0In, amount1In, amount0Out, amount1Out,
-        isToken0, pool.decimals0, pool.decimals1, pool.config
+        isToken0, pool.decimals0, pool.decimals1, pool.config, this.getV2FeeBps(pool)
       );
 
       // Broadcast swap event to frontend clients IMMEDIATELY (fastest path)
@@ -1265,10 +2743,10 @@ class PriceMonitor {
       // txHash is instant and can be used to verify real user on block explorer
       const tokenData = this.monitoredTokens.get(normalizedTokenAddr);
       console.log(`   tokenData found: ${!!tokenData}, symbol: ${tokenData?.config?.symbol}`);
-      const tokenAmountNum = parseFloat(swapInfo.tokenAmount.split(' ')[0]) || 0;
-      const pairAmountNum = parseFloat(swapInfo.pairAmount.split(' ')[0]) || 0;
-      const pairSymbol = pool.config.pair || 'WBNB';
-      const isWbnbPair = pairSymbol === 'WBNB' || pairSymbol === 'BNB';
+      const tokenAmountNum = swapInfo.tokenAmountValue;
+      const pairAmountNum = swapInfo.pairAmountValue;
+      const pairSymbol = pool.config.pair || this.chain.wrappedNative;
+      const isWbnbPair = this.isNativeSymbol(pairSymbol);
       const amountBNB = isWbnbPair ? pairAmountNum : 0;
       const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
       const valueUSD = tokenAmountNum * priceUSD;
@@ -1289,31 +2767,40 @@ class PriceMonitor {
         pairAmount: pairAmountNum,
         priceUSD,
         valueUSD,
+        feeBps: swapInfo.feeBps,
+        feeAmount: swapInfo.feeAmountValue,
         event // For background user address fetch
       });
 
-      // Run all background tasks in parallel (non-blocking)
-      // Reserves update is now background - not needed for swap broadcast
-      Promise.all([
-        // Update reserves in background (for future price calculations)
-        poolContract.getReserves().then(reserves => {
-          pool.reserve0 = reserves[0];
-          pool.reserve1 = reserves[1];
-        }).catch(() => {}),
-        // Handle swap confirmation
-        this.handleSwapConfirmation({
-          event,
-          tokenAddress: normalizedTokenAddr,
-          poolAddress: normalizedPoolAddr,
-          protocol: 'uniswapv2',
-          userAddress: pool.config.userAddress,
-          swapInfo,
-          sender,
-          recipient: to
-        }),
-        // Handle price update
-        this.handlePriceUpdate(normalizedTokenAddr, swapInfo)
-      ]).catch(() => {});
+      // Reserves come from the Sync emitted before this Swap; the price is
+      // recalculated once the block closes (see BLOCK BATCHING)
+      this.handleSwapConfirmation({
+        event,
+        tokenAddress: normalizedTokenAddr,
+        poolAddress: normalizedPoolAddr,
+        protocol: 'uniswapv2',
+        userAddress: pool.config.userAddress,
+        swapInfo,
+        sender,
+        recipient: to
+      }).catch(() => {});
+    });
+
+    poolContract.on('Sync', (reserve0, reserve1, event) => {
+      // Reserves of a dropped block are stale - reloadPoolState reads them again
+      if (event.log?.removed) return;
+      pool.reserve0 = reserve0;
+      pool.reserve1 = reserve1;
+    });
+
+    poolContract.on('Mint', (sender, amount0, amount1, event) => {
+      if (event.log?.removed) return;
+      this.broadcastLiquidityEvent({ tokenAddress: normalizedTokenAddr, pool, type: 'add', amount0, amount1, owner: sender, event });
+    });
+
+    poolContract.on('Burn', (sender, amount0, amount1, to, event) => {
+      if (event.log?.removed) return;
+      this.broadcastLiquidityEvent({ tokenAddress: normalizedTokenAddr, pool, type: 'remove', amount0, amount1, owner: to, event });
     });
 
     // Verify listener was added
@@ -1324,10 +2811,13 @@ class PriceMonitor {
   async setupV3Listener(pool, tokenAddress) {
     const abi = [
       'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+      'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+      'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+      'event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)',
       'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)'
     ];
 
-    const poolContract = new ethers.Contract(pool.address, abi, this.provider);
+    const poolContract = new ethers.Contract(pool.address, abi, this.getEventRunner());
 
     // CRITICAL: Normalize addresses to lowercase for consistent key matching
     const normalizedPoolAddr = pool.address.toLowerCase();
@@ -1338,7 +2828,9 @@ class PriceMonitor {
     this.activeListeners.set(listenerKey, {
       contract: poolContract,
       tokenAddress: normalizedTokenAddr,
-      poolType: 'V3'
+      poolAddress: normalizedPoolAddr,
+      poolType: 'V3',
+      swapEvent: 'Swap' // Replayed by backfillMissedEvents
     });
 
     this.poolContracts.set(normalizedPoolAddr, poolContract);
@@ -1349,7 +2841,16 @@ class PriceMonitor {
       console.log(`\n🔔 [V3 Swap Event Received] pool=${normalizedPoolAddr.slice(0,10)}`);
       this.metrics.increment('eventsReceived');
 
+      if (event.log?.removed) {
+        this.handleRemovedSwapLog(normalizedTokenAddr, event.log);
+        return;
+      }
+      if (this.isDuplicateSwapLog(normalizedTokenAddr, event.log)) return;
+
       pool.sqrtPriceX96 = sqrtPriceX96.toString();
+      pool.liquidity = liquidity.toString();
+      pool.tick = Number(tick);
+      this.refreshV3TicksIfNeeded(pool);
 
       // Determine buy/sell and amounts
       const isToken0 = pool.token0.toLowerCase() === normalizedTokenAddr;
@@ -1358,8 +2859,7 @@ class PriceMonitor {
         amount0, amount1, isToken0, pool.decimals0, pool.decimals1, pool.config
       );
 
-      // Run confirmation and price update in parallel for faster confirmation emission
-      // Confirmation will be sent ~100-300ms faster than waiting for price calculations
+      // Confirmation starts before the broadcast; the price is recalculated once the block closes
       const confirmationPromise = this.handleSwapConfirmation({
         event,
         tokenAddress: normalizedTokenAddr,
@@ -1376,10 +2876,10 @@ class PriceMonitor {
       // txHash is instant and can be used to verify real user on block explorer
       const tokenData = this.monitoredTokens.get(normalizedTokenAddr);
       const ethPrice = this.bnbPrice || 0;
-      const tokenAmountNum = parseFloat(swapInfo.tokenAmount.split(' ')[0]) || 0;
-      const pairAmountNum = parseFloat(swapInfo.pairAmount.split(' ')[0]) || 0;
-      const pairSymbol = pool.config.pair || 'WBNB';
-      const isWbnbPair = pairSymbol === 'WBNB' || pairSymbol === 'BNB';
+      const tokenAmountNum = swapInfo.tokenAmountValue;
+      const pairAmountNum = swapInfo.pairAmountValue;
+      const pairSymbol = pool.config.pair || this.chain.wrappedNative;
+      const isWbnbPair = this.isNativeSymbol(pairSymbol);
       const amountBNB = isWbnbPair ? pairAmountNum : 0;
       const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
       // Calculate valueUSD based on token amount * token price (more accurate)
@@ -1402,20 +2902,45 @@ class PriceMonitor {
         event // For background user address fetch
       });
 
-      const priceUpdatePromise = this.handlePriceUpdate(normalizedTokenAddr, swapInfo);
+      await confirmationPromise;
+    });
+
+    // Keep tick data and active liquidity in sync with LP position changes
+    // (a removed log from a reorged block is undone)
+    poolContract.on('Mint', (sender, owner, tickLower, tickUpper, amount, amount0, amount1, event) => {
+      if (event.log?.removed) {
+        this.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), -amount);
+        return;
+      }
+      this.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), amount);
+      this.broadcastLiquidityEvent({ tokenAddress: normalizedTokenAddr, pool, type: 'add', amount0, amount1, owner, event });
+    });
 
-      // Wait for both to complete
-      await Promise.all([confirmationPromise, priceUpdatePromise]);
+    // Burn with zero liquidity only settles fees (position poke) - nothing to report
+    poolContract.on('Burn', (owner, tickLower, tickUpper, amount, amount0, amount1, event) => {
+      if (amount === 0n) return;
+      if (event.log?.removed) {
+        this.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), amount);
+        this.addV3OwedPrincipal(pool, owner, Number(tickLower), Number(tickUpper), amount0, amount1, -1n);
+        return;
+      }
+      this.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), -amount);
+      this.addV3OwedPrincipal(pool, owner, Number(tickLower), Number(tickUpper), amount0, amount1);
+      this.broadcastLiquidityEvent({ tokenAddress: normalizedTokenAddr, pool, type: 'remove', amount0, amount1, owner, event });
     });
-  }
 
-  async setupAerodromeV2Listener(pool, tokenAddress) {
-    const abi = [
-      'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
-      'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32)'
-    ];
+    // Collect pays out the burned principal (reported by Burn) plus fees - only the fees are reported
+    poolContract.on('Collect', (owner, recipient, tickLower, tickUpper, amount0, amount1, event) => {
+      if ((amount0 === 0n && amount1 === 0n) || event.log?.removed) return;
+      const [fee0, fee1] = this.settleV3Collect(pool, owner, Number(tickLower), Number(tickUpper), amount0, amount1);
+      if (fee0 === 0n && fee1 === 0n) return;
+      this.broadcastLiquidityEvent({ tokenAddress: normalizedTokenAddr, pool, type: 'fees', amount0: fee0, amount1: fee1, owner: recipient, event });
+    });
+  }
 
-    const poolContract = new ethers.Contract(pool.address, abi, this.provider);
+  async setupInfinityClListener(pool, tokenAddress) {
+    // One manager instance per pool so removeAllListeners only drops this pool's filter
+    const manager = new ethers.Contract(pool.poolManager, config.abis.infinityClPoolManager, this.getEventRunner());
 
     // CRITICAL: Normalize addresses to lowercase for consistent key matching
     const normalizedPoolAddr = pool.address.toLowerCase();
@@ -1424,38 +2949,47 @@ class PriceMonitor {
     // Track this listener
     const listenerKey = `${normalizedPoolAddr}-${normalizedTokenAddr}`;
     this.activeListeners.set(listenerKey, {
-      contract: poolContract,
+      contract: manager,
       tokenAddress: normalizedTokenAddr,
-      poolType: 'AERODROME_V2'
+      poolAddress: normalizedPoolAddr,
+      poolType: 'INFINITY_CL',
+      swapEvent: manager.filters.Swap(pool.poolId)
     });
 
-    this.poolContracts.set(normalizedPoolAddr, poolContract);
+    this.poolContracts.set(normalizedPoolAddr, manager);
 
-    // Listen to Swap events only (Sync is redundant as Swap already updates reserves)
-    // OPTIMIZED: Broadcast swap event IMMEDIATELY without waiting for reserves (saves 50-200ms)
-    poolContract.on('Swap', async (sender, amount0In, amount1In, amount0Out, amount1Out, to, event) => {
+    // The manager emits Swap for every pool - filter on the indexed pool id
+    console.log(`     🎯 Infinity CL Listener active for token=${normalizedTokenAddr} poolId=${normalizedPoolAddr.slice(0, 18)}...`);
+    manager.on(manager.filters.Swap(pool.poolId), async (id, sender, amount0, amount1, sqrtPriceX96, liquidity, tick, fee, protocolFee, event) => {
       this.metrics.increment('eventsReceived');
 
-      // Determine buy/sell and amounts IMMEDIATELY from swap data (no RPC call needed)
-      const isToken0 = pool.token0.toLowerCase() === normalizedTokenAddr;
-      const swapInfo = this.parseV2SwapInfo(
-        amount0In, amount1In, amount0Out, amount1Out,
-        isToken0, pool.decimals0, pool.decimals1, pool.config
+      if (event.log?.removed) {
+        this.handleRemovedSwapLog(normalizedTokenAddr, event.log);
+        return;
+      }
+      if (this.isDuplicateSwapLog(normalizedTokenAddr, event.log)) return;
+
+      pool.sqrtPriceX96 = sqrtPriceX96.toString();
+      pool.liquidity = liquidity.toString();
+      pool.tick = Number(tick);
+      pool.fee = Number(fee);
+      this.refreshV3TicksIfNeeded(pool);
+
+      // Amounts are the swapper's balance deltas - negate to the pool's view used by V3
+      const isToken0 = pool.token0 === normalizedTokenAddr;
+      const swapInfo = this.parseV3SwapInfo(
+        -amount0, -amount1, isToken0, pool.decimals0, pool.decimals1, pool.config
       );
 
-      // Broadcast swap event to frontend clients IMMEDIATELY (fastest path)
-      // NOTE: sender is router address, not user wallet - but speed is critical for confirmations
-      // txHash is instant and can be used to verify real user on block explorer
       const tokenData = this.monitoredTokens.get(normalizedTokenAddr);
-      const tokenAmountNum = parseFloat(swapInfo.tokenAmount.split(' ')[0]) || 0;
-      const pairAmountNum = parseFloat(swapInfo.pairAmount.split(' ')[0]) || 0;
-      const pairSymbol = pool.config.pair || 'WBNB';
-      const isWbnbPair = pairSymbol === 'WBNB' || pairSymbol === 'BNB';
+      const tokenAmountNum = swapInfo.tokenAmountValue;
+      const pairAmountNum = swapInfo.pairAmountValue;
+      const pairSymbol = pool.config.pair || this.chain.wrappedNative;
+      const isWbnbPair = this.isNativeSymbol(pairSymbol);
       const amountBNB = isWbnbPair ? pairAmountNum : 0;
       const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
       const valueUSD = tokenAmountNum * priceUSD;
 
-      // INSTANT broadcast - no waiting, no RPC calls
       // ethers v6: txHash is at event.log.transactionHash
       const txHash = event.log?.transactionHash || event.transactionHash || '';
       this.broadcastSwapEvent({
@@ -1473,114 +3007,158 @@ class PriceMonitor {
         event // For background user address fetch
       });
 
-      // Run all background tasks in parallel (non-blocking)
       Promise.all([
-        // Update reserves in background
-        poolContract.getReserves().then(reserves => {
-          pool.reserve0 = reserves[0];
-          pool.reserve1 = reserves[1];
-        }).catch(() => {}),
-        // Handle swap confirmation
         this.handleSwapConfirmation({
           event,
           tokenAddress: normalizedTokenAddr,
           poolAddress: normalizedPoolAddr,
-          protocol: 'aerodromev2',
+          protocol: 'pancakeinfinity',
           userAddress: pool.config.userAddress,
           swapInfo,
           sender,
-          recipient: to
-        }),
-        // Handle price update
-        this.handlePriceUpdate(normalizedTokenAddr, swapInfo)
+          recipient: sender
+        })
       ]).catch(() => {});
     });
+
+    // ModifyLiquidity is Mint (positive delta) and Burn (negative) in one event
+    // (a removed log from a reorged block is undone)
+    manager.on(manager.filters.ModifyLiquidity(pool.poolId), (id, sender, tickLower, tickUpper, liquidityDelta, salt, event) => {
+      if (liquidityDelta === 0n) return;
+      const delta = event.log?.removed ? -liquidityDelta : liquidityDelta;
+      this.applyV3LiquidityChange(pool, Number(tickLower), Number(tickUpper), delta);
+    });
   }
 
-  async setupAerodromeV3Listener(pool, tokenAddress) {
-    const abi = [
-      'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
-    ];
+  // ==================== DEX ADAPTERS ====================
 
-    const poolContract = new ethers.Contract(pool.address, abi, this.provider);
+  /**
+   * Context passed to adapter methods: provider plus the shared parsing/pricing helpers
+   */
+  createAdapterContext() {
+    const monitor = this;
+    return {
+      get provider() {
+        return monitor.provider;
+      },
+      // Runner for contracts that subscribe to pool events (follows settings.eventTransport)
+      get events() {
+        return monitor.getEventRunner();
+      },
+      // Runner for read-only contracts (calls are batched through Multicall3)
+      get reader() {
+        return monitor.reader;
+      },
+      config,
+      chain: this.chain,
+      getTokenDecimals: (address) => this.getTokenDecimalsByAddress(address),
+      getV2FeeBps: (pool) => this.getV2FeeBps(pool),
+      parseV2SwapInfo: (...args) => this.parseV2SwapInfo(...args),
+      parseV3SwapInfo: (...args) => this.parseV3SwapInfo(...args),
+      calculateV2Price: (tokenAddress, pool) => this.calculateV2Price(tokenAddress, pool),
+      calculateV3Price: (tokenAddress, pool) => this.calculateV3Price(tokenAddress, pool),
+      getV2LiquidityUSD: (pool, tokenAddress, priceUSD, priceInPair) => this.getV2LiquidityUSD(tokenAddress, pool, priceUSD, priceInPair),
+      getV3LiquidityUSD: (pool, tokenAddress, priceUSD, priceInPair) => this.getV3LiquidityUSD(tokenAddress, pool, priceUSD, priceInPair),
+      getV2DepthState: (pool) => this.getV2DepthState(pool),
+      getV3DepthState: (pool) => this.getV3DepthState(pool),
+      getV2TwapPrice: (pool, tokenAddress, windowSec) => this.getV2TwapPrice(pool, tokenAddress, windowSec),
+      getV3TwapPrice: (pool, tokenAddress, windowSec) => this.getV3TwapPrice(pool, tokenAddress, windowSec),
+      applyV3LiquidityChange: (...args) => this.applyV3LiquidityChange(...args),
+      addV3OwedPrincipal: (...args) => this.addV3OwedPrincipal(...args),
+      settleV3Collect: (...args) => this.settleV3Collect(...args),
+      // liquidity-event for the token priced from this pool object
+      emitLiquidityEvent: (pool, { type, amount0, amount1, owner, event }) => {
+        for (const [tokenAddress, tokenData] of this.monitoredTokens) {
+          if (tokenData.pools.includes(pool)) {
+            this.broadcastLiquidityEvent({ tokenAddress, pool, type, amount0, amount1, owner, event });
+          }
+        }
+      }
+    };
+  }
 
+  setupAdapterListener(adapter, pool, tokenAddress) {
     // CRITICAL: Normalize addresses to lowercase for consistent key matching
     const normalizedPoolAddr = pool.address.toLowerCase();
     const normalizedTokenAddr = tokenAddress.toLowerCase();
 
+    const contract = adapter.subscribe(pool, (raw) => {
+      this.metrics.increment('eventsReceived');
+      try {
+        this.handleAdapterSwap(adapter, pool, normalizedTokenAddr, raw);
+      } catch (error) {
+        console.error(`${adapter.type} swap decode error:`, error.message);
+        this.metrics.addError(error);
+      }
+    }, this.adapterContext);
+
     // Track this listener
-    const listenerKey = `${normalizedPoolAddr}-${normalizedTokenAddr}`;
-    this.activeListeners.set(listenerKey, {
-      contract: poolContract,
+    this.activeListeners.set(`${normalizedPoolAddr}-${normalizedTokenAddr}`, {
+      contract,
       tokenAddress: normalizedTokenAddr,
-      poolType: 'AERODROME_V3'
+      poolAddress: normalizedPoolAddr,
+      poolType: adapter.type,
+      swapEvent: adapter.swapEvent || 'Swap'
     });
+    this.poolContracts.set(normalizedPoolAddr, contract);
 
-    this.poolContracts.set(normalizedPoolAddr, poolContract);
-
-    // Listen to Swap events - V3 already has sqrtPriceX96 in event (no extra RPC needed)
-    // OPTIMIZED: Broadcast swap event IMMEDIATELY
-    poolContract.on('Swap', async (sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick, event) => {
-      this.metrics.increment('eventsReceived');
-
-      pool.sqrtPriceX96 = sqrtPriceX96.toString();
+    console.log(`     🎯 ${adapter.name || adapter.type} Listener active for token=${normalizedTokenAddr} pool=${normalizedPoolAddr}`);
+  }
 
-      // Determine buy/sell and amounts IMMEDIATELY from swap data
-      const isToken0 = pool.token0.toLowerCase() === normalizedTokenAddr;
-      const swapInfo = this.parseV3SwapInfo(
-        amount0, amount1, isToken0, pool.decimals0, pool.decimals1, pool.config
-      );
+  /**
+   * Shared swap pipeline for adapters: broadcast (price update at block close) and confirmation
+   */
+  handleAdapterSwap(adapter, pool, tokenAddress, raw) {
+    const swapInfo = adapter.decodeSwap(raw, pool, tokenAddress, this.adapterContext);
+    if (!swapInfo) return; // Swap does not involve this token
 
-      // Broadcast swap event to frontend clients IMMEDIATELY (fastest path)
-      // NOTE: sender is router address, not user wallet - but speed is critical for confirmations
-      // txHash is instant and can be used to verify real user on block explorer
-      const tokenData = this.monitoredTokens.get(normalizedTokenAddr);
-      const tokenAmountNum = parseFloat(swapInfo.tokenAmount.split(' ')[0]) || 0;
-      const pairAmountNum = parseFloat(swapInfo.pairAmount.split(' ')[0]) || 0;
-      const pairSymbol = pool.config.pair || 'WBNB';
-      const isWbnbPair = pairSymbol === 'WBNB' || pairSymbol === 'BNB';
-      const amountBNB = isWbnbPair ? pairAmountNum : 0;
-      const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
-      const valueUSD = tokenAmountNum * priceUSD;
+    if (swapInfo.event?.log?.removed) {
+      this.handleRemovedSwapLog(tokenAddress, swapInfo.event.log);
+      return;
+    }
+    if (this.isDuplicateSwapLog(tokenAddress, swapInfo.event?.log)) return;
 
-      // INSTANT broadcast - no waiting, no RPC calls
-      // ethers v6: txHash is at event.log.transactionHash
-      const txHash = event.log?.transactionHash || event.transactionHash || '';
-      this.broadcastSwapEvent({
-        tokenAddress: normalizedTokenAddr,
-        symbol: tokenData?.config?.symbol || pool.config?.symbol || 'TOKEN',
-        poolAddress: normalizedPoolAddr,
-        txHash,
-        isBuy: swapInfo.isBuy,
-        amountBNB,
-        amountToken: tokenAmountNum,
-        pairSymbol,
-        pairAmount: pairAmountNum,
-        priceUSD,
-        valueUSD,
-        event // For background user address fetch
-      });
+    const tokenData = this.monitoredTokens.get(tokenAddress);
+    const pairSymbol = pool.config.pair || this.chain.wrappedNative;
+    const isWbnbPair = this.isNativeSymbol(pairSymbol);
+    const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
+    const event = swapInfo.event;
 
-      // Run background tasks in parallel (non-blocking)
-      Promise.all([
-        this.handleSwapConfirmation({
-          event,
-          tokenAddress: normalizedTokenAddr,
-          poolAddress: normalizedPoolAddr,
-          protocol: 'aerodromev3',
-          userAddress: pool.config.userAddress,
-          swapInfo,
-          sender,
-          recipient
-        }),
-        this.handlePriceUpdate(normalizedTokenAddr, swapInfo)
-      ]).catch(() => {});
+    // ethers v6: txHash is at event.log.transactionHash
+    this.broadcastSwapEvent({
+      tokenAddress,
+      symbol: tokenData?.config?.symbol || pool.config?.symbol || 'TOKEN',
+      poolAddress: pool.address.toLowerCase(),
+      txHash: event?.log?.transactionHash || event?.transactionHash || '',
+      isBuy: swapInfo.isBuy,
+      amountBNB: isWbnbPair ? swapInfo.pairAmountValue : 0,
+      amountToken: swapInfo.tokenAmountValue,
+      pairSymbol,
+      pairAmount: swapInfo.pairAmountValue,
+      priceUSD,
+      valueUSD: swapInfo.tokenAmountValue * priceUSD,
+      feeBps: swapInfo.feeBps,
+      feeAmount: swapInfo.feeAmountValue,
+      event // For background user address fetch
     });
+
+    Promise.all([
+      this.handleSwapConfirmation({
+        event,
+        tokenAddress,
+        poolAddress: pool.address.toLowerCase(),
+        protocol: adapter.protocol,
+        userAddress: pool.config.userAddress,
+        swapInfo,
+        sender: swapInfo.sender || '',
+        recipient: swapInfo.recipient || ''
+      })
+    ]).catch(() => {});
   }
 
   // ==================== SWAP INFO PARSING ====================
 
-  parseV2SwapInfo(amount0In, amount1In, amount0Out, amount1Out, isToken0, decimals0, decimals1, poolConfig) {
+  parseV2SwapInfo(amount0In, amount1In, amount0Out, amount1Out, isToken0, decimals0, decimals1, poolConfig, feeBps = 0) {
     // V2: amount0In/Out, amount1In/Out are all positive
     // If our token has Out > 0, someone is selling it (we get Out tokens)
     // If our token has In > 0, someone is buying it (they send In tokens)
@@ -1618,10 +3196,18 @@ class PriceMonitor {
     const tokenAmount = this.formatAmount(tokenAmountRaw, isToken0 ? decimals0 : decimals1);
     const pairAmount = this.formatAmount(pairAmountRaw, isToken0 ? decimals1 : decimals0);
 
+    // The fee is taken from the input side: pair token on buys, our token on sells
+    const feeRaw = ((isBuy ? pairAmountRaw : tokenAmountRaw) * BigInt(feeBps)) / 10000n;
+    const feeDecimals = isBuy === isToken0 ? decimals1 : decimals0;
+
     return {
       isBuy,
-      tokenAmount: `${tokenAmount} ${poolConfig.pair === 'WBNB' ? 'tokens' : poolConfig.pair}`,
+      tokenAmount: `${tokenAmount} ${this.isNativeSymbol(poolConfig.pair) ? 'tokens' : poolConfig.pair}`,
       pairAmount: `${pairAmount} ${poolConfig.pair}`,
+      tokenAmountValue: Number(ethers.formatUnits(tokenAmountRaw, isToken0 ? decimals0 : decimals1)),
+      pairAmountValue: Number(ethers.formatUnits(pairAmountRaw, isToken0 ? decimals1 : decimals0)),
+      feeBps,
+      feeAmountValue: Number(ethers.formatUnits(feeRaw, feeDecimals)),
       eventType: 'Swap (V2)'
     };
   }
@@ -1652,10 +3238,124 @@ class PriceMonitor {
       isBuy,
       tokenAmount: `${tokenAmount} tokens`,
       pairAmount: `${pairAmount} ${poolConfig.pair}`,
+      tokenAmountValue: Number(ethers.formatUnits(tokenAmountRaw, isToken0 ? decimals0 : decimals1)),
+      pairAmountValue: Number(ethers.formatUnits(pairAmountRaw, isToken0 ? decimals1 : decimals0)),
       eventType: 'Swap (V3)'
     };
   }
 
+  async setupStableSwapListener(pool, tokenAddress) {
+    const poolContract = new ethers.Contract(pool.address, config.abis.stableSwapPool, this.getEventRunner());
+
+    // CRITICAL: Normalize addresses to lowercase for consistent key matching
+    const normalizedPoolAddr = pool.address.toLowerCase();
+    const normalizedTokenAddr = tokenAddress.toLowerCase();
+
+    // Track this listener
+    const listenerKey = `${normalizedPoolAddr}-${normalizedTokenAddr}`;
+    this.activeListeners.set(listenerKey, {
+      contract: poolContract,
+      tokenAddress: normalizedTokenAddr,
+      poolAddress: normalizedPoolAddr,
+      poolType: 'STABLESWAP',
+      swapEvent: 'TokenExchange' // Replayed by backfillMissedEvents
+    });
+
+    this.poolContracts.set(normalizedPoolAddr, poolContract);
+
+    console.log(`     🎯 StableSwap Listener active for token=${normalizedTokenAddr} pool=${normalizedPoolAddr}`);
+    poolContract.on('TokenExchange', async (buyer, soldId, tokensSold, boughtId, tokensBought, event) => {
+      this.metrics.increment('eventsReceived');
+
+      if (event.log?.removed) {
+        this.handleRemovedSwapLog(normalizedTokenAddr, event.log);
+        return;
+      }
+      if (this.isDuplicateSwapLog(normalizedTokenAddr, event.log)) return;
+
+      // 3-pools also trade coins we don't price this token against - no swap to report,
+      // but the balances behind get_dy moved, so the token is repriced (with its own
+      // swaps when the block has some, replays are repriced once the backfill is done)
+      const coins = [Number(soldId), Number(boughtId)];
+      if (!coins.includes(pool.tokenIndex) || !coins.includes(pool.pairIndex)) {
+        const refresh = this.refreshStableSwapState(pool, poolContract)
+          .catch(err => console.error('StableSwap refresh error:', err.message));
+        if (!event.replayed && !this.holdBlockBatch(normalizedTokenAddr, event.log, refresh)) {
+          refresh.then(() => this.handlePriceUpdate(normalizedTokenAddr))
+            .catch(err => console.error('StableSwap price update error:', err.message));
+        }
+        return;
+      }
+
+      const swapInfo = this.parseStableSwapInfo(Number(boughtId), tokensSold, tokensBought, pool);
+
+      const tokenData = this.monitoredTokens.get(normalizedTokenAddr);
+      const tokenAmountNum = swapInfo.tokenAmountValue;
+      const pairAmountNum = swapInfo.pairAmountValue;
+      const pairSymbol = pool.config.pair || 'USDT';
+      const isWbnbPair = this.isNativeSymbol(pairSymbol);
+      const amountBNB = isWbnbPair ? pairAmountNum : 0;
+      const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
+      const valueUSD = tokenAmountNum * priceUSD;
+
+      // ethers v6: txHash is at event.log.transactionHash
+      const txHash = event.log?.transactionHash || event.transactionHash || '';
+      this.broadcastSwapEvent({
+        tokenAddress: normalizedTokenAddr,
+        symbol: tokenData?.config?.symbol || pool.config?.symbol || 'TOKEN',
+        poolAddress: normalizedPoolAddr,
+        txHash,
+        isBuy: swapInfo.isBuy,
+        amountBNB,
+        amountToken: tokenAmountNum,
+        pairSymbol,
+        pairAmount: pairAmountNum,
+        priceUSD,
+        valueUSD,
+        event // For background user address fetch
+      });
+
+      // Price needs the post-swap get_dy, so the block closes after the refresh
+      const refresh = this.refreshStableSwapState(pool, poolContract)
+        .catch(err => console.error('StableSwap refresh error:', err.message));
+      this.holdBlockBatch(normalizedTokenAddr, event.log, refresh);
+
+      await Promise.all([
+        this.handleSwapConfirmation({
+          event,
+          tokenAddress: normalizedTokenAddr,
+          poolAddress: normalizedPoolAddr,
+          protocol: 'stableswap',
+          userAddress: pool.config.userAddress,
+          swapInfo,
+          sender: buyer,
+          recipient: buyer
+        }),
+        refresh
+      ]).catch(() => {});
+    });
+  }
+
+  parseStableSwapInfo(boughtId, tokensSold, tokensBought, pool) {
+    // Buying the token = the pool hands out our coin
+    const isBuy = boughtId === pool.tokenIndex;
+    const isToken0 = pool.tokenIndex < pool.pairIndex;
+    const decimalsToken = isToken0 ? pool.decimals0 : pool.decimals1;
+    const decimalsPair = isToken0 ? pool.decimals1 : pool.decimals0;
+
+    const tokenAmountRaw = isBuy ? tokensBought : tokensSold;
+    const pairAmountRaw = isBuy ? tokensSold : tokensBought;
+
+    return {
+      isBuy,
+      tokenAmount: `${this.formatAmount(tokenAmountRaw, decimalsToken)} tokens`,
+      pairAmount: `${this.formatAmount(pairAmountRaw, decimalsPair)} ${pool.config.pair}`,
+      tokenAmountValue: Number(ethers.formatUnits(tokenAmountRaw, decimalsToken)),
+      pairAmountValue: Number(ethers.formatUnits(pairAmountRaw, decimalsPair)),
+      eventType: 'TokenExchange (StableSwap)'
+    };
+  }
+
   formatAmount(amount, decimals) {
     const formatted = Number(ethers.formatUnits(amount, decimals));
     if (formatted < 0.01) {
@@ -1669,18 +3369,37 @@ class PriceMonitor {
 
   // ==================== PRICE CALCULATION ====================
 
-  async handlePriceUpdate(tokenAddress, swapInfo = null) {
-    try {
-      const tokenData = this.monitoredTokens.get(tokenAddress);
-      if (!tokenData) return;
+  /**
+   * Recalculate a token's price from the current pool state and broadcast it when it moved.
+   * One calculation runs per token at a time; calls made meanwhile share one rerun,
+   * so no update is dropped
+   * @param {String} tokenAddress - Token address (lowercase)
+   * @param {Object|null} block - { blockNumber, swaps } when called at block close
+   * @returns {Promise<Object|null>} Calculated price, null on error
+   */
+  handlePriceUpdate(tokenAddress, block = null) {
+    const tokenData = this.monitoredTokens.get(tokenAddress);
+    if (!tokenData) return Promise.resolve(null);
 
-      // Prevent duplicate updates within 100ms
-      const now = Date.now();
-      if (tokenData.lastUpdateCall && (now - tokenData.lastUpdateCall) < 100) {
-        return; // Skip duplicate call
+    if (tokenData.priceUpdate) {
+      if (!tokenData.nextPriceUpdate) {
+        tokenData.nextPriceUpdate = tokenData.priceUpdate.then(() => {
+          tokenData.nextPriceUpdate = null;
+          return this.handlePriceUpdate(tokenAddress, block);
+        });
       }
-      tokenData.lastUpdateCall = now;
+      return tokenData.nextPriceUpdate;
+    }
 
+    tokenData.priceUpdate = this.updatePrice(tokenAddress, tokenData, block).finally(() => {
+      tokenData.priceUpdate = null;
+    });
+    return tokenData.priceUpdate;
+  }
+
+  async updatePrice(tokenAddress, tokenData, block) {
+    try {
+      const now = Date.now();
       this.metrics.increment('priceUpdates');
 
       // Update BNB price periodically
@@ -1705,6 +3424,11 @@ class PriceMonitor {
       const priceChange = oldPrice > 0 ? ((newPrice.priceUSD - oldPrice) / oldPrice) : 0;
       const percentChange = priceChange * 100;
 
+      // Broadcast threshold follows the alert price (TWAP for tokens in TWAP mode)
+      const alertField = newPrice.alertPrice === 'twap' ? 'twapUSD' : 'priceUSD';
+      const oldAlertPrice = tokenData.lastPrice?.[alertField] || 0;
+      const alertChange = oldAlertPrice > 0 ? ((newPrice[alertField] - oldAlertPrice) / oldAlertPrice) : 0;
+
       if (tokenData.pools.length > 1) {
         console.log(`  💰 Combined ${tokenData.config.symbol} Price: $${newPrice.priceUSD.toFixed(config.settings.decimalPlaces)} (${percentChange >= 0 ? '+' : ''}${percentChange.toFixed(2)}%)`);
       }
@@ -1715,7 +3439,7 @@ class PriceMonitor {
       console.log('='.repeat(60));
       console.log(`📍 Token Address:  ${tokenAddress}`);
       console.log(`💰 Price USD:      $${newPrice.priceUSD.toFixed(config.settings.decimalPlaces)}`);
-      console.log(`⚡ Price BNB:      ${newPrice.priceBNB.toFixed(8)} BNB`);
+      console.log(`⚡ Price BNB:      ${newPrice.priceBNB.toFixed(8)} ${this.chain.nativeSymbol}`);
       if (oldPrice > 0) {
         const changeSymbol = percentChange >= 0 ? '📈' : '📉';
         console.log(`${changeSymbol} Change:         ${percentChange >= 0 ? '+' : ''}${percentChange.toFixed(2)}%`);
@@ -1723,15 +3447,10 @@ class PriceMonitor {
       console.log(`⏰ Timestamp:      ${new Date().toLocaleString()}`);
       console.log(`🏊 Pool Count:     ${newPrice.poolCount}`);
 
-      // Display swap information if available
-      if (swapInfo) {
-        const actionIcon = swapInfo.isBuy ? '🟢 BUY' : '🔴 SELL';
-        console.log(`📊 Action:         ${actionIcon}`);
-        console.log(`💱 Amount:         ${swapInfo.tokenAmount}`);
-        if (swapInfo.pairAmount) {
-          console.log(`💵 For:            ${swapInfo.pairAmount}`);
-        }
-        console.log(`🔗 Event:          WebSocket Listener (Real-time)`);
+      // Display the swaps of the closed block if available
+      if (block) {
+        const buys = block.swaps.filter(swap => swap.type === 'buy').length;
+        console.log(`📦 Block:          ${block.blockNumber} (${buys} buy, ${block.swaps.length - buys} sell)`);
       }
 
       if (tokenData.isDynamic) {
@@ -1740,7 +3459,7 @@ class PriceMonitor {
       console.log('='.repeat(60) + '\n');
 
       // Broadcast if significant change or first price
-      if (Math.abs(priceChange) >= config.settings.priceUpdateThreshold || oldPrice === 0) {
+      if (Math.abs(alertChange) >= config.settings.priceUpdateThreshold || oldAlertPrice === 0) {
         tokenData.lastPrice = newPrice;
         tokenData.lastUpdate = now;
 
@@ -1748,33 +3467,60 @@ class PriceMonitor {
         console.log(`📡 Broadcasted ${tokenData.config.symbol} price: $${newPrice.priceUSD.toFixed(config.settings.decimalPlaces)}`);
       }
 
+      return newPrice;
     } catch (error) {
       console.error('Price update error:', error.message);
       this.metrics.addError(error);
+      return null;
     }
   }
   
   async calculatePrice(tokenAddress, pools, providedConfig = null) {
     const prices = [];
     const tokenData = this.monitoredTokens.get(tokenAddress);
-    const tokenConfig = providedConfig || (tokenData ? tokenData.config : config.tokens[tokenAddress.toLowerCase()]);
+    const tokenConfig = providedConfig || (tokenData ? tokenData.config : this.chain.tokens[tokenAddress.toLowerCase()]);
     
     for (const pool of pools) {
       try {
         let rawPrice;
-        if (pool.type === 'V2' || pool.type === 'AERODROME_V2') {
+        const adapter = this.adapters.get(pool.type);
+        if (adapter) {
+          rawPrice = adapter.spotPrice(pool, tokenAddress, this.adapterContext);
+        } else if (pool.type === 'V2') {
           rawPrice = this.calculateV2Price(tokenAddress, pool);
+        } else if (pool.type === 'STABLESWAP') {
+          rawPrice = this.calculateStableSwapPrice(tokenAddress, pool);
         } else {
-          // V3, AERODROME_V3
+          // V3, INFINITY_CL
           rawPrice = this.calculateV3Price(tokenAddress, pool);
         }
 
-        const price = await this.convertToUSD(rawPrice.priceInPair, pool, rawPrice.isToken0);
+        // Every monitored pool is an edge of the USD routing graph
+        this.priceRouter.updatePool(pool.address, {
+          token: tokenAddress,
+          pairToken: pool.config.pairAddress || (rawPrice.isToken0 ? pool.token1 : pool.token0),
+          tokenSymbol: tokenConfig.symbol,
+          pairSymbol: pool.config.pair,
+          priceInPair: rawPrice.priceInPair
+        });
+
+        const price = await this.convertToUSD(rawPrice.priceInPair, pool, rawPrice.isToken0, tokenAddress);
         
         if (price && price.priceUSD > 0) {
+          let twapUSD = null;
+          if (pool.twapPriceInPair > 0) {
+            twapUSD = (await this.convertToUSD(pool.twapPriceInPair, pool, rawPrice.isToken0, tokenAddress)).priceUSD || null;
+          }
+
+          const liquidityUSD = this.getPoolLiquidityUSD(tokenAddress, pool, price.priceUSD, rawPrice.priceInPair);
+          this.priceRouter.setLiquidity(pool.address, liquidityUSD);
+
           prices.push({
             ...price,
+            twapUSD,
+            twapSeconds: pool.twapSeconds ?? null,
             priority: pool.config.priority || 1,
+            liquidityUSD,
             pool: pool.address,
             description: pool.config.description,
             pair: pool.config.pair
@@ -1789,25 +3535,69 @@ class PriceMonitor {
       return { priceUSD: 0, priceBNB: 0 };
     }
     
-    // Extract USD prices and remove outliers
-    const usdPrices = prices.map(p => p.priceUSD);
-    const cleanUsdPrices = this.removeOutliers(usdPrices);
-    
-    // Recalculate with clean prices
-    const cleanPrices = prices.filter(p => cleanUsdPrices.includes(p.priceUSD));
-    
-    if (cleanPrices.length === 0) {
-      // If all were outliers, use original
-      return this.calculateWeightedAverage(prices, tokenConfig);
+    // Remove outlier pools before aggregating
+    const outlierStrategy = tokenConfig.outlierStrategy || config.settings.outlierStrategy;
+    const { kept, excluded } = this.filterOutliers(prices, outlierStrategy);
+    this.recordOutliers(excluded);
+
+    const result = this.calculateWeightedAverage(kept, tokenConfig);
+    const mainPool = result.pools.reduce((a, b) => (b.weight > a.weight ? b : a));
+    return this.applyTwap({
+      ...result,
+      // USD route of the pool with the largest weight
+      route: { pool: mainPool.pool, ...mainPool.route },
+      outlierStrategy,
+      excludedPools: excluded.map(({ entry, reason }) => ({
+        pool: entry.pool,
+        description: entry.description,
+        pair: entry.pair,
+        priceUSD: entry.priceUSD,
+        liquidityUSD: entry.liquidityUSD,
+        reason
+      }))
+    }, tokenConfig);
+  }
+
+  recordOutliers(excluded) {
+    for (const { entry, reason } of excluded) {
+      this.metrics.increment('outliersExcluded');
+      console.log(`⚠️  Outlier excluded (${entry.description || entry.source}): ${reason}`);
     }
-    
-    return this.calculateWeightedAverage(cleanPrices, tokenConfig);
+  }
+
+  /**
+   * Add the weighted TWAP and which price drives alerts ('twap' only once a TWAP exists)
+   */
+  applyTwap(result, tokenConfig) {
+    const twapPools = result.pools.filter(p => p.twapUSD > 0);
+    const twapWeight = twapPools.reduce((sum, p) => sum + p.weight, 0);
+    const twapUSD = twapWeight > 0
+      ? twapPools.reduce((sum, p) => sum + p.twapUSD * p.weight, 0) / twapWeight
+      : null;
+
+    const isTwapMode = tokenConfig.priceMode === 'twap';
+    const twapWindow = isTwapMode ? this.getTwapWindow(tokenConfig) : null;
+    return {
+      ...result,
+      twapUSD,
+      twapWindow,
+      // True while a V2 pool's snapshots span less than the window
+      twapWarmingUp: isTwapMode && result.pools.some(p => p.twapSeconds != null && p.twapSeconds < twapWindow),
+      alertPrice: isTwapMode && twapUSD ? 'twap' : 'spot'
+    };
   }
   
   calculateWeightedAverage(prices, tokenConfig) {
-    const totalWeight = prices.reduce((sum, p) => sum + (1 / p.priority), 0);
-    const weightedUSD = prices.reduce((sum, p) => sum + (p.priceUSD * (1 / p.priority)), 0) / totalWeight;
-    const weightedBNB = prices.reduce((sum, p) => sum + (p.priceBNB * (1 / p.priority)), 0) / totalWeight;
+    // 'priority' weights pools by 1 / priority, 'liquidity' by USD liquidity
+    let aggregation = tokenConfig.aggregation || config.settings.defaultAggregation;
+    if (aggregation === 'liquidity' && !prices.some(p => p.liquidityUSD > 0)) {
+      aggregation = 'priority'; // No liquidity data yet
+    }
+
+    const weightOf = (p) => (aggregation === 'liquidity' ? p.liquidityUSD : 1 / p.priority);
+    const totalWeight = prices.reduce((sum, p) => sum + weightOf(p), 0);
+    const weightedUSD = prices.reduce((sum, p) => sum + (p.priceUSD * weightOf(p)), 0) / totalWeight;
+    const weightedBNB = prices.reduce((sum, p) => sum + (p.priceBNB * weightOf(p)), 0) / totalWeight;
     
     return {
       tokenAddress: tokenConfig.address || prices[0].tokenAddress,
@@ -1816,11 +3606,86 @@ class PriceMonitor {
       priceUSD: weightedUSD,
       priceBNB: weightedBNB,
       poolCount: prices.length,
-      pools: prices,
+      aggregation,
+      pools: prices.map(p => ({ ...p, weight: weightOf(p) / totalWeight })),
       timestamp: new Date().toISOString()
     };
   }
   
+  /**
+   * USD liquidity of a pool, used as its weight in 'liquidity' aggregation
+   * (adapter pools use the adapter's liquidityUSD(), zero without one)
+   */
+  getPoolLiquidityUSD(tokenAddress, pool, priceUSD, priceInPair) {
+    if (!priceUSD || !priceInPair) return 0;
+
+    const adapter = this.adapters.get(pool.type);
+    if (adapter) {
+      return adapter.liquidityUSD
+        ? adapter.liquidityUSD(pool, tokenAddress, priceUSD, priceInPair, this.adapterContext) || 0
+        : 0;
+    }
+
+    if (pool.type === 'V2') {
+      return this.getV2LiquidityUSD(tokenAddress, pool, priceUSD, priceInPair);
+    }
+
+    if (pool.type === 'STABLESWAP') {
+      const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+      const tokenBalance = Number(ethers.formatUnits(pool.balances[pool.tokenIndex], isToken0 ? pool.decimals0 : pool.decimals1));
+      const pairBalance = Number(ethers.formatUnits(pool.balances[pool.pairIndex], isToken0 ? pool.decimals1 : pool.decimals0));
+      return tokenBalance * priceUSD + pairBalance * (priceUSD / priceInPair);
+    }
+
+    // V3, INFINITY_CL
+    return this.getV3LiquidityUSD(tokenAddress, pool, priceUSD, priceInPair);
+  }
+
+  /**
+   * Both reserves in USD
+   */
+  getV2LiquidityUSD(tokenAddress, pool, priceUSD, priceInPair) {
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    const pairPriceUSD = priceUSD / priceInPair;
+
+    const reserve0 = Number(ethers.formatUnits(pool.reserve0, pool.decimals0));
+    const reserve1 = Number(ethers.formatUnits(pool.reserve1, pool.decimals1));
+    return isToken0
+      ? reserve0 * priceUSD + reserve1 * pairPriceUSD
+      : reserve1 * priceUSD + reserve0 * pairPriceUSD;
+  }
+
+  /**
+   * Amounts the active liquidity holds within ±liquidityDepthRange of the current
+   * price, in USD (ticks beyond are ignored)
+   */
+  getV3LiquidityUSD(tokenAddress, pool, priceUSD, priceInPair) {
+    if (!pool.sqrtPriceX96 || !pool.liquidity) return 0;
+
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    const pairPriceUSD = priceUSD / priceInPair;
+
+    const range = config.settings.liquidityDepthRange;
+    const L = Number(pool.liquidity);
+    const sqrtPrice = Number(pool.sqrtPriceX96) / 2 ** 96;
+
+    // Token amounts between price * (1 - range) and price * (1 + range), raw units
+    const amount0 = (L / sqrtPrice) * (1 - 1 / Math.sqrt(1 + range)) / Math.pow(10, pool.decimals0);
+    const amount1 = L * sqrtPrice * (1 - Math.sqrt(1 - range)) / Math.pow(10, pool.decimals1);
+
+    return isToken0
+      ? amount0 * priceUSD + amount1 * pairPriceUSD
+      : amount1 * priceUSD + amount0 * pairPriceUSD;
+  }
+  
+  calculateStableSwapPrice(tokenAddress, pool) {
+    // Price comes from get_dy, refreshed on load and after every TokenExchange
+    return {
+      priceInPair: pool.priceInPair || 0,
+      isToken0: pool.token0 === tokenAddress.toLowerCase()
+    };
+  }
+
   calculateV2Price(tokenAddress, pool) {
     const reserve0 = BigInt(pool.reserve0);
     const reserve1 = BigInt(pool.reserve1);
@@ -1890,53 +3755,124 @@ class PriceMonitor {
     return { priceInPair, isToken0 };
   }
   
-  async convertToUSD(priceInPair, pool, isToken0) {
+  async convertToUSD(priceInPair, pool, isToken0, tokenAddress = null) {
     const pairAddress = pool.config.pairAddress || (isToken0 ? pool.token1 : pool.token0);
     const pairSymbol = pool.config.pair;
-    
-    let priceUSD = 0;
-    let priceBNB = 0;
-    
-    if (pairSymbol === 'WBNB') {
-      priceBNB = priceInPair;
-      priceUSD = priceBNB * this.bnbPrice;
-    } else if (pairSymbol === 'USDC' || pairSymbol === 'USDT' || pairSymbol === 'DAI') {
-      priceUSD = priceInPair;
-      priceBNB = priceUSD / this.bnbPrice;
-    } else if (pool.config.pairIsAgent) {
+
+    // The priced pool and token are left out so a pool never prices its own pair
+    let quote = this.resolveUSDRoute(pairAddress, pairSymbol, {
+      excludePool: pool.address,
+      avoidToken: tokenAddress
+    });
+
+    // Fall back to configured agent token sources
+    if (!quote && pool.config.pairIsAgent) {
       const agentPriceUSD = await this.getAgentTokenPrice(pairAddress);
-      
       if (agentPriceUSD > 0) {
-        priceUSD = priceInPair * agentPriceUSD;
-        priceBNB = priceUSD / this.bnbPrice;
-        
-        if (config.settings.enableDebugLogs) {
-          console.log(`      Using ${pairSymbol} price: $${agentPriceUSD.toFixed(6)}`);
-        }
-      } else {
-        console.warn(`      ⚠️  No price available for agent token ${pairSymbol}`);
+        quote = {
+          priceUSD: agentPriceUSD,
+          route: { path: [pairSymbol], pools: [], liquidityUSD: null, source: 'agentTokens' }
+        };
       }
-    } else {
-      console.warn(`Unknown pair type: ${pairSymbol}`);
     }
-    
-    return { priceUSD, priceBNB };
+
+    if (!quote) {
+      console.warn(`      ⚠️  No USD route for pair ${pairSymbol}`);
+      return { priceUSD: 0, priceBNB: 0, route: null };
+    }
+
+    if (config.settings.enableDebugLogs && quote.route.source !== 'direct') {
+      console.log(`      Using ${pairSymbol} price: $${quote.priceUSD.toFixed(6)} via ${quote.route.path.join(' → ')}`);
+    }
+
+    const priceUSD = priceInPair * quote.priceUSD;
+    return { priceUSD, priceBNB: priceUSD / this.bnbPrice, route: quote.route };
+  }
+
+  // ==================== USD ROUTING ====================
+
+  /**
+   * Route anchors and their USD price: the chain's stablecoins at $1,
+   * its wrapped native token (WBNB, WETH) at the native price
+   */
+  getRouteAnchors() {
+    return new Map([
+      ...STABLECOINS
+        .filter(symbol => this.chain.addresses[symbol])
+        .map(symbol => [this.chain.addresses[symbol].toLowerCase(), 1]),
+      [this.chain.addresses[this.chain.wrappedNative].toLowerCase(), this.bnbPrice]
+    ]);
+  }
+
+  /**
+   * Native token or its wrapped form (BNB/WBNB on BSC, ETH/WETH on Base)
+   */
+  isNativeSymbol(symbol) {
+    return symbol === this.chain.wrappedNative || symbol === this.chain.nativeSymbol;
+  }
+
+  /**
+   * USD price of a quote token: directly for anchors, otherwise through the
+   * most liquid path of monitored pools (see PriceRouter)
+   * @param {String} quoteToken - Quote token address (may be null for symbol-only lookups)
+   * @param {String} quoteSymbol - Quote token symbol
+   * @param {Object} options - { excludePool, avoidToken } passed to the router
+   * @returns {Object|null} { priceUSD, route: { path, pools, liquidityUSD, source } }
+   */
+  resolveUSDRoute(quoteToken, quoteSymbol, options = {}) {
+    const anchors = this.getRouteAnchors();
+    const address = quoteToken ? quoteToken.toLowerCase() : null;
+    const direct = (priceUSD) => ({
+      priceUSD,
+      route: { path: [quoteSymbol], pools: [], liquidityUSD: null, source: 'direct' }
+    });
+
+    if (this.isNativeSymbol(quoteSymbol)) {
+      return direct(this.bnbPrice);
+    }
+    if (STABLECOINS.includes(quoteSymbol)) {
+      return direct(1);
+    }
+    if (address && anchors.has(address)) {
+      return direct(anchors.get(address));
+    }
+    if (!address) return null;
+
+    const found = this.priceRouter.findRoute(address, anchors, options);
+    if (!found || !(found.priceUSD > 0)) return null;
+
+    return {
+      priceUSD: found.priceUSD,
+      route: { path: found.path, pools: found.pools, liquidityUSD: found.liquidityUSD, source: 'graph' }
+    };
   }
   
   // ==================== BROADCASTING ====================
+
+  /**
+   * Socket.IO room of a token: `token:<chainId>:<address>`
+   */
+  getRoom(tokenAddress) {
+    return `token:${toChainKey(this.chainId, tokenAddress)}`;
+  }
   
   broadcastPrice(tokenAddress, priceData) {
+    const enriched = this.enrichPrice(tokenAddress, priceData);
+    const change24h = enriched.stats['24h'].priceChange;
+
     const update = {
-      ...priceData,
+      ...enriched,
       formatted: {
         priceUSD: `$${priceData.priceUSD.toFixed(config.settings.decimalPlaces)}`,
-        priceBNB: `${priceData.priceBNB.toFixed(config.settings.decimalPlaces)} BNB`,
-        change24h: null,
-        marketCap: null,
+        priceBNB: `${priceData.priceBNB.toFixed(config.settings.decimalPlaces)} ${this.chain.nativeSymbol}`,
+        change24h: change24h !== null ? formatPercentage(change24h) : null,
+        marketCap: enriched.marketCapUSD !== null
+          ? `$${enriched.marketCapUSD.toLocaleString('en-US', { maximumFractionDigits: 0 })}`
+          : null,
       }
     };
     
-    this.io.to(`token:${tokenAddress.toLowerCase()}`).emit('price-update', update);
+    this.io.to(this.getRoom(tokenAddress)).emit('price-update', update);
     this.io.emit('global-price-update', update);
   }
 
@@ -1944,7 +3880,9 @@ class PriceMonitor {
    * Broadcast swap event to all connected frontend clients
    */
   broadcastSwapEvent(swapData) {
+    const log = swapData.event?.log;
     const swapEvent = {
+      chainId: this.chainId,
       tokenAddress: swapData.tokenAddress,
       symbol: swapData.symbol || 'TOKEN',
       poolAddress: swapData.poolAddress,
@@ -1953,15 +3891,25 @@ class PriceMonitor {
       sender: '', // Will be updated via swap-update event
       amountBNB: swapData.amountBNB || 0,
       amountToken: swapData.amountToken || 0,
-      pairSymbol: swapData.pairSymbol || 'BNB',
+      pairSymbol: swapData.pairSymbol || this.chain.nativeSymbol,
       pairAmount: swapData.pairAmount || 0,
       priceUSD: swapData.priceUSD || 0,
       valueUSD: swapData.valueUSD || 0,
-      timestamp: Date.now()
+      feeBps: swapData.feeBps || 0,
+      feeAmount: swapData.feeAmount || 0, // Input side: pair token on buys, token on sells
+      replayed: Boolean(swapData.event?.replayed), // Recovered by backfillMissedEvents after a reconnect
+      blockNumber: log?.blockNumber ?? null,
+      logIndex: log?.index ?? null, // With txHash, identifies the swap in swap-retracted
+      timestamp: swapData.event?.replayedTimestamp || Date.now()
     };
 
+    // A re-included log retracts its old block's copy first, which forgets the log key -
+    // tracked as processed afterwards so the backfill does not replay it again
+    this.trackRecentSwap(swapEvent, log);
+    this.trackProcessedSwap(swapEvent.tokenAddress, swapEvent.poolAddress, log);
+
     // Emit only to clients subscribed to this token's room
-    const room = `token:${swapData.tokenAddress.toLowerCase()}`;
+    const room = this.getRoom(swapData.tokenAddress);
     this.io.to(room).emit('swap-event', swapEvent);
     console.log(`📡 Broadcast swap-event to ${room}:`);
     console.log(`   Type: ${swapEvent.type.toUpperCase()} ${swapEvent.symbol}`);
@@ -1970,11 +3918,16 @@ class PriceMonitor {
     console.log(`   Value: $${swapEvent.valueUSD?.toFixed(2)}`);
     console.log(`   TxHash: ${swapEvent.txHash ? swapEvent.txHash.slice(0, 20) + '...' : '(empty - ethers v6 issue?)'}`);
 
+    // Feed candles from the same swap
+    this.recordSwap(swapEvent);
+    this.batchSwap(swapEvent);
+
     // Fetch real user address in background and send update (non-blocking)
     if (swapData.event) {
       swapData.event.getTransaction().then(tx => {
         if (tx && tx.from) {
           this.io.to(room).emit('swap-update', {
+            chainId: this.chainId,
             txHash: swapData.txHash,
             sender: tx.from // Real user wallet address
           });
@@ -1984,6 +3937,555 @@ class PriceMonitor {
     }
   }
   
+  /**
+   * Broadcast an LP add/remove or fee payout to the token room
+   * provider is the wallet that sent the transaction (owner is the event's
+   * address, usually a router or position manager)
+   * @param {Object} params - { tokenAddress, pool, type: 'add'|'remove'|'fees', amount0, amount1, owner, event }
+   */
+  async broadcastLiquidityEvent({ tokenAddress, pool, type, amount0, amount1, owner, event }) {
+    try {
+      this.metrics.increment('liquidityEvents');
+
+      const tokenData = this.monitoredTokens.get(tokenAddress);
+      const isToken0 = pool.token0.toLowerCase() === tokenAddress;
+      const tokenAmount = Number(ethers.formatUnits(isToken0 ? amount0 : amount1, isToken0 ? pool.decimals0 : pool.decimals1));
+      const pairAmount = Number(ethers.formatUnits(isToken0 ? amount1 : amount0, isToken0 ? pool.decimals1 : pool.decimals0));
+      const priceUSD = tokenData?.lastPrice?.priceUSD || 0;
+      const pairPriceUSD = this.getPairPriceUSD(pool.config, tokenAddress);
+
+      // Pool depth changed - refresh its routing weight from cached prices
+      if (type !== 'fees' && priceUSD > 0 && pairPriceUSD > 0) {
+        const liquidityUSD = this.getPoolLiquidityUSD(tokenAddress, pool, priceUSD, priceUSD / pairPriceUSD);
+        this.priceRouter.setLiquidity(pool.address, liquidityUSD);
+      }
+
+      const tx = await event?.getTransaction().catch(() => null);
+      const liquidityEvent = {
+        chainId: this.chainId,
+        tokenAddress,
+        symbol: tokenData?.config?.symbol || pool.config?.symbol || 'TOKEN',
+        poolAddress: pool.address.toLowerCase(),
+        type,
+        provider: tx?.from || owner,
+        owner,
+        tokenAmount,
+        pairSymbol: pool.config.pair || this.chain.wrappedNative,
+        pairAmount,
+        valueUSD: tokenAmount * priceUSD + pairAmount * pairPriceUSD,
+        txHash: event?.log?.transactionHash || event?.transactionHash || '',
+        blockNumber: event?.log?.blockNumber ?? null,
+        timestamp: Date.now()
+      };
+
+      this.io.to(this.getRoom(tokenAddress)).emit('liquidity-event', liquidityEvent);
+      console.log(`💧 ${type.toUpperCase()} ${liquidityEvent.symbol}: ${tokenAmount.toFixed(4)} + ${pairAmount.toFixed(4)} ${liquidityEvent.pairSymbol} ($${liquidityEvent.valueUSD.toFixed(2)})`);
+    } catch (error) {
+      console.error('Liquidity event error:', error.message);
+      this.metrics.addError(error);
+    }
+  }
+
+  // ==================== BLOCK BATCHING ====================
+
+  /**
+   * Add a broadcast swap to its block. A block closes blockBatchDelay ms after
+   * its last swap log, or as soon as a log from a later block arrives.
+   */
+  batchSwap(swapEvent) {
+    const tokenAddress = swapEvent.tokenAddress.toLowerCase();
+    const { blockNumber } = swapEvent;
+    if (blockNumber === null) {
+      this.handlePriceUpdate(tokenAddress);
+      return;
+    }
+
+    for (const number of this.blockBatches.keys()) {
+      if (number < blockNumber) {
+        this.closeBlock(number);
+      }
+    }
+
+    if (!this.blockBatches.has(blockNumber)) {
+      this.blockBatches.set(blockNumber, { timer: null, tokens: new Map() });
+    }
+    const batch = this.blockBatches.get(blockNumber);
+    if (!batch.tokens.has(tokenAddress)) {
+      batch.tokens.set(tokenAddress, { swaps: [], holds: [] });
+    }
+    batch.tokens.get(tokenAddress).swaps.push(swapEvent);
+
+    clearTimeout(batch.timer);
+    batch.timer = setTimeout(() => this.closeBlock(blockNumber), config.settings.blockBatchDelay);
+  }
+
+  /**
+   * Delay a token's block close until `promise` settles (pool state read after the swap)
+   * @returns {Boolean} False when the token has no open batch in that block
+   */
+  holdBlockBatch(tokenAddress, log, promise) {
+    const entry = this.blockBatches.get(log?.blockNumber)?.tokens.get(tokenAddress.toLowerCase());
+    if (!entry) return false;
+
+    entry.holds.push(promise.catch(() => {}));
+    return true;
+  }
+
+  closeBlock(blockNumber) {
+    const batch = this.blockBatches.get(blockNumber);
+    if (!batch) return;
+
+    this.blockBatches.delete(blockNumber);
+    clearTimeout(batch.timer);
+
+    for (const [tokenAddress, entry] of batch.tokens) {
+      this.publishBlockSummary(tokenAddress, blockNumber, entry)
+        .catch(err => console.error('Block summary error:', err.message));
+    }
+  }
+
+  /**
+   * Price the token once from the final pool state of the block and emit
+   * `block-summary` with its swaps, net flow and closing price. Replayed blocks
+   * are past blocks: the pool state is newer than them, so they are not priced
+   * (closePriceUSD null) and do not trigger a price update.
+   */
+  async publishBlockSummary(tokenAddress, blockNumber, { swaps, holds }) {
+    await Promise.all(holds);
+
+    const tokenData = this.monitoredTokens.get(tokenAddress);
+    if (!tokenData) return; // Removed while the block was open
+
+    const replayed = swaps.every(swap => swap.replayed);
+    const price = replayed ? null : await this.handlePriceUpdate(tokenAddress, { blockNumber, swaps });
+
+    const buys = swaps.filter(swap => swap.type === 'buy');
+    const sells = swaps.filter(swap => swap.type === 'sell');
+    const sum = (list, field) => list.reduce((total, swap) => total + (swap[field] || 0), 0);
+
+    const summary = {
+      chainId: this.chainId,
+      tokenAddress,
+      symbol: tokenData.config.symbol,
+      blockNumber,
+      swaps: swaps.map(swap => ({
+        txHash: swap.txHash,
+        logIndex: swap.logIndex,
+        poolAddress: swap.poolAddress,
+        type: swap.type,
+        amountToken: swap.amountToken,
+        pairSymbol: swap.pairSymbol,
+        pairAmount: swap.pairAmount,
+        valueUSD: swap.valueUSD
+      })),
+      buys: buys.length,
+      sells: sells.length,
+      buyVolumeUSD: sum(buys, 'valueUSD'),
+      sellVolumeUSD: sum(sells, 'valueUSD'),
+      // Positive when more tokens were bought than sold
+      netFlowToken: sum(buys, 'amountToken') - sum(sells, 'amountToken'),
+      netFlowUSD: sum(buys, 'valueUSD') - sum(sells, 'valueUSD'),
+      closePriceUSD: price?.priceUSD ?? null,
+      closePriceBNB: price?.priceBNB ?? null,
+      replayed,
+      timestamp: swaps[swaps.length - 1].timestamp
+    };
+
+    this.io.to(this.getRoom(tokenAddress)).emit('block-summary', summary);
+  }
+
+  // ==================== CANDLES ====================
+
+  /**
+   * Aggregate a broadcast swap into OHLCV candles and push updated bars
+   */
+  recordSwap(swapEvent) {
+    try {
+      const tokenAddress = swapEvent.tokenAddress.toLowerCase();
+      const tokenData = this.monitoredTokens.get(tokenAddress);
+      const pool = tokenData?.pools.find(p => p.address.toLowerCase() === swapEvent.poolAddress.toLowerCase());
+
+      // Execution price of this trade (swap fee excluded); falls back to last known price
+      const pairPriceUSD = pool ? this.getPairPriceUSD(pool.config, tokenAddress) : 0;
+      const isBuy = swapEvent.type === 'buy';
+      const pairAmountNet = isBuy ? swapEvent.pairAmount - swapEvent.feeAmount : swapEvent.pairAmount;
+      const tokenAmountNet = isBuy ? swapEvent.amountToken : swapEvent.amountToken - swapEvent.feeAmount;
+      let price = swapEvent.priceUSD;
+      if (pairPriceUSD > 0 && tokenAmountNet > 0) {
+        price = (pairAmountNet * pairPriceUSD) / tokenAmountNet;
+      }
+
+      const updates = this.candleAggregator.addTrade(tokenAddress, {
+        price,
+        amount: swapEvent.amountToken,
+        valueUSD: swapEvent.amountToken * price,
+        isBuy,
+        timestamp: swapEvent.timestamp
+      }, `${swapEvent.txHash}:${swapEvent.logIndex}`); // Id for removeTrade on a reorg
+
+      if (this.historyStore) {
+        this.historyStore.append(tokenAddress, {
+          t: swapEvent.timestamp,
+          type: 'swap',
+          side: swapEvent.type,
+          poolAddress: swapEvent.poolAddress,
+          txHash: swapEvent.txHash,
+          logIndex: swapEvent.logIndex,
+          amountToken: swapEvent.amountToken,
+          pairSymbol: swapEvent.pairSymbol,
+          pairAmount: swapEvent.pairAmount,
+          priceUSD: price,
+          valueUSD: swapEvent.amountToken * price
+        });
+      }
+
+      const room = this.getRoom(tokenAddress);
+      for (const { interval, candle } of updates) {
+        this.io.to(room).emit('candle-update', {
+          chainId: this.chainId,
+          tokenAddress,
+          interval,
+          candle
+        });
+      }
+    } catch (error) {
+      console.error('Candle update error:', error.message);
+      this.metrics.addError(error);
+    }
+  }
+
+  /**
+   * USD price of a pool's pair token from already cached prices (no RPC calls)
+   */
+  getPairPriceUSD(poolConfig, tokenAddress = null) {
+    const quote = this.resolveUSDRoute(poolConfig.pairAddress, poolConfig.pair, {
+      excludePool: poolConfig.address,
+      avoidToken: tokenAddress
+    });
+    if (quote) {
+      return quote.priceUSD;
+    }
+    if (poolConfig.pairIsAgent && poolConfig.pairAddress) {
+      return this.agentTokenPrices.get(poolConfig.pairAddress.toLowerCase())?.price || 0;
+    }
+    return 0;
+  }
+
+  getCandles(tokenAddress, interval, limit) {
+    return this.candleAggregator.getCandles(tokenAddress, interval, limit);
+  }
+
+  /**
+   * Rolling 5m/1h/24h change, high/low, buy/sell volume and trade count from the swap stream
+   */
+  getMarketStats(tokenAddress, currentPrice = null) {
+    const stats = {};
+    for (const [window, { ms, interval }] of Object.entries(STATS_WINDOWS)) {
+      stats[window] = this.candleAggregator.getWindowStats(tokenAddress, ms, interval, currentPrice);
+    }
+    return stats;
+  }
+
+  // ==================== QUOTES ====================
+
+  /**
+   * Simulate a trade against cached pool state (no RPC calls)
+   * @param {String} tokenAddress - Monitored token
+   * @param {Object} params - { side: 'buy'|'sell', amountIn, pool }
+   *   amountIn is in the pool's pair token for buys and in the token for sells
+   * @returns {Object|null} Quote for the requested (or best) pool plus all pool quotes,
+   *   null if the token (or the requested pool) is not monitored
+   */
+  getQuote(tokenAddress, { side, amountIn, pool: poolAddress = null }) {
+    const tokenData = this.monitoredTokens.get(tokenAddress.toLowerCase());
+    if (!tokenData) return null;
+
+    const quotes = tokenData.pools.map(pool => {
+      try {
+        return this.quotePool(tokenAddress, pool, side, amountIn);
+      } catch (error) {
+        return { pool: pool.address, type: pool.type, error: error.message };
+      }
+    });
+
+    // Best execution in USD terms (pools may have different pair tokens)
+    const score = (q) => (q.amountInUSD > 0 ? q.amountOutUSD / q.amountInUSD : q.amountOut);
+    const valid = quotes.filter(q => !q.error && q.amountOut > 0);
+    const best = valid.reduce((top, q) => (!top || score(q) > score(top) ? q : top), null);
+
+    let selected = best;
+    if (poolAddress) {
+      selected = quotes.find(q => q.pool.toLowerCase() === poolAddress.toLowerCase());
+      if (!selected) return null;
+    }
+
+    return {
+      tokenAddress: tokenAddress.toLowerCase(),
+      symbol: tokenData.config.symbol,
+      side,
+      quote: selected,
+      bestPool: best ? best.pool : null,
+      quotes
+    };
+  }
+
+  quotePool(tokenAddress, pool, side, amountIn) {
+    const isToken0 = pool.token0 === tokenAddress.toLowerCase();
+    const inputIsToken = side === 'sell';
+    const zeroForOne = inputIsToken === isToken0;
+    const decimalsIn = zeroForOne ? pool.decimals0 : pool.decimals1;
+    const decimalsOut = zeroForOne ? pool.decimals1 : pool.decimals0;
+
+    // Drop precision beyond the input token's decimals instead of failing
+    const [whole, fraction = ''] = String(amountIn).split('.');
+    const amountInRaw = ethers.parseUnits(`${whole}.${fraction.slice(0, decimalsIn) || '0'}`, decimalsIn);
+    const amountInValue = Number(ethers.formatUnits(amountInRaw, decimalsIn));
+
+    let amountOutValue, spotRate, feeFraction, ticksCrossed = 0, exhausted = false;
+    let approximate = ['V3', 'INFINITY_CL'].includes(pool.type) && !pool.ticks;
+
+    const adapter = this.adapters.get(pool.type);
+    if (adapter) {
+      if (!adapter.quote) {
+        throw new Error(`Quotes not supported for ${pool.type} pools`);
+      }
+      const result = adapter.quote(pool, { zeroForOne, amountInRaw, amountInValue, decimalsIn, decimalsOut }, this.adapterContext);
+      ({ amountOutValue, spotRate, feeFraction } = result);
+      ticksCrossed = result.ticksCrossed || 0;
+      exhausted = Boolean(result.exhausted);
+      approximate = Boolean(result.approximate);
+    } else if (pool.type === 'V2') {
+      const feeBps = this.getV2FeeBps(pool);
+      const reserveIn = BigInt(zeroForOne ? pool.reserve0 : pool.reserve1);
+      const reserveOut = BigInt(zeroForOne ? pool.reserve1 : pool.reserve0);
+      const amountOutRaw = getV2AmountOut(amountInRaw, reserveIn, reserveOut, feeBps);
+
+      amountOutValue = Number(ethers.formatUnits(amountOutRaw, decimalsOut));
+      spotRate = Number(ethers.formatUnits(reserveOut, decimalsOut)) / Number(ethers.formatUnits(reserveIn, decimalsIn));
+      feeFraction = feeBps / 10000;
+    } else if (['V3', 'INFINITY_CL'].includes(pool.type)) {
+      const result = simulateV3Swap({
+        sqrtPriceX96: pool.sqrtPriceX96,
+        liquidity: pool.liquidity,
+        fee: pool.fee,
+        ticks: pool.ticks
+      }, zeroForOne, Number(amountInRaw));
+
+      const sqrtPrice = Number(pool.sqrtPriceX96) / 2 ** 96;
+      const rawRate = zeroForOne ? sqrtPrice * sqrtPrice : 1 / (sqrtPrice * sqrtPrice);
+
+      amountOutValue = result.amountOut / Math.pow(10, decimalsOut);
+      spotRate = rawRate * Math.pow(10, decimalsIn - decimalsOut);
+      feeFraction = (pool.fee || 0) / 1e6;
+      ticksCrossed = result.ticksCrossed;
+      exhausted = result.exhausted;
+    } else {
+      throw new Error(`Quotes not supported for ${pool.type} pools`);
+    }
+
+    // Impact excludes the fee: output vs. fee-adjusted input at the spot rate
+    const idealOut = amountInValue * (1 - feeFraction) * spotRate;
+    const priceImpact = idealOut > 0 ? Math.max(0, 1 - amountOutValue / idealOut) * 100 : 0;
+
+    // Prices are always quoted as pair token per token
+    const tokenAmount = inputIsToken ? amountInValue : amountOutValue;
+    const pairAmount = inputIsToken ? amountOutValue : amountInValue;
+    const effectivePrice = tokenAmount > 0 ? pairAmount / tokenAmount : 0;
+    const spotPrice = inputIsToken ? spotRate : 1 / spotRate;
+    const pairPriceUSD = this.getPairPriceUSD(pool.config, tokenAddress);
+    const tokenPriceUSD = pairPriceUSD * spotPrice;
+
+    return {
+      pool: pool.address,
+      type: pool.type,
+      pair: pool.config.pair,
+      amountIn: amountInValue,
+      amountOut: amountOutValue,
+      amountInUSD: inputIsToken ? amountInValue * tokenPriceUSD : amountInValue * pairPriceUSD,
+      amountOutUSD: inputIsToken ? amountOutValue * pairPriceUSD : amountOutValue * tokenPriceUSD,
+      spotPrice,
+      effectivePrice,
+      effectivePriceUSD: effectivePrice * pairPriceUSD,
+      priceImpact,
+      feePercent: feeFraction * 100,
+      ticksCrossed,
+      // V3 without loaded ticks assumes the active liquidity never changes
+      approximate,
+      insufficientLiquidity: exhausted
+    };
+  }
+
+  // ==================== DEPTH ====================
+
+  /**
+   * Find a monitored pool by address
+   * @returns {Object|null} { tokenAddress, tokenData, pool }
+   */
+  findPool(poolAddress) {
+    const key = poolAddress.toLowerCase();
+    for (const [tokenAddress, tokenData] of this.monitoredTokens) {
+      const pool = tokenData.pools.find(p => p.address.toLowerCase() === key);
+      if (pool) return { tokenAddress, tokenData, pool };
+    }
+    return null;
+  }
+
+  /**
+   * Depth curve: cumulative amounts needed to move the token price by each step
+   * asks = buying the token (price up), bids = selling the token (price down)
+   * @param {String} poolAddress - Monitored pool
+   * @param {Number} range - Largest move in percent
+   * @param {Number} step - Step size in percent
+   * @returns {Object|null} Depth curve, or null if the pool is not monitored
+   */
+  getPoolDepth(poolAddress, range, step = 1) {
+    const found = this.findPool(poolAddress);
+    if (!found) return null;
+
+    const { tokenAddress, tokenData, pool } = found;
+    const isToken0 = pool.token0 === tokenAddress;
+    let state;
+
+    const adapter = this.adapters.get(pool.type);
+    if (adapter) {
+      if (!adapter.depth) {
+        throw new Error(`Depth not supported for ${pool.type} pools`);
+      }
+      state = adapter.depth(pool, this.adapterContext);
+    } else if (pool.type === 'V2') {
+      state = this.getV2DepthState(pool);
+    } else if (['V3', 'INFINITY_CL'].includes(pool.type)) {
+      state = this.getV3DepthState(pool);
+    } else {
+      throw new Error(`Depth not supported for ${pool.type} pools`);
+    }
+
+    const sqrtPrice = Number(state.sqrtPriceX96) / 2 ** 96;
+    const decimalsToken = isToken0 ? pool.decimals0 : pool.decimals1;
+    const decimalsQuote = isToken0 ? pool.decimals1 : pool.decimals0;
+    const rawPoolPrice = sqrtPrice * sqrtPrice * Math.pow(10, pool.decimals0 - pool.decimals1);
+    const price = isToken0 ? rawPoolPrice : 1 / rawPoolPrice;
+    const quotePriceUSD = this.getPairPriceUSD(pool.config, tokenAddress);
+
+    const levels = (direction) => {
+      const result = [];
+      for (let percent = step; percent <= range + 1e-9; percent += step) {
+        const ratio = 1 + direction * percent / 100;
+        // Token price and pool price (token1/token0) move in opposite directions for token1
+        const targetSqrtPrice = sqrtPrice * Math.sqrt(isToken0 ? ratio : 1 / ratio);
+        const { amount0, amount1, ticksCrossed } = getV3AmountsToPrice(state, targetSqrtPrice);
+        const tokenAmount = (isToken0 ? amount0 : amount1) / Math.pow(10, decimalsToken);
+        const quoteAmount = (isToken0 ? amount1 : amount0) / Math.pow(10, decimalsQuote);
+
+        result.push({
+          percent: Number(percent.toFixed(6)),
+          price: price * ratio,
+          tokenAmount,
+          quoteAmount,
+          quoteAmountUSD: quoteAmount * quotePriceUSD,
+          ticksCrossed
+        });
+      }
+      return result;
+    };
+
+    return {
+      poolAddress: pool.address.toLowerCase(),
+      type: pool.type,
+      tokenAddress,
+      symbol: tokenData.config.symbol,
+      quote: pool.config.pair,
+      price,
+      ticksLoaded: pool.ticks ? pool.ticks.length : null,
+      approximate: Boolean(state.approximate),
+      asks: levels(1),
+      bids: levels(-1)
+    };
+  }
+
+  /**
+   * Constant product = full-range liquidity sqrt(x * y) with no ticks
+   */
+  getV2DepthState(pool) {
+    const reserve0 = Number(pool.reserve0);
+    const reserve1 = Number(pool.reserve1);
+    return {
+      sqrtPriceX96: Math.sqrt(reserve1 / reserve0) * 2 ** 96,
+      liquidity: Math.sqrt(reserve0 * reserve1)
+    };
+  }
+
+  /**
+   * Without loaded ticks the active liquidity is assumed to never change
+   */
+  getV3DepthState(pool) {
+    return {
+      sqrtPriceX96: pool.sqrtPriceX96,
+      liquidity: pool.liquidity,
+      ticks: pool.ticks,
+      approximate: !pool.ticks
+    };
+  }
+
+  // ==================== PRICE HISTORY ====================
+
+  /**
+   * Query stored history. Prices are bucketed to `resolution` (a candle interval)
+   * as OHLC points; swaps are returned as recorded.
+   */
+  async getPriceHistory(tokenAddress, { from, to, resolution = 'raw', type = 'price' }) {
+    if (!this.historyStore) {
+      throw new Error('Price history is disabled (historyBackend: none)');
+    }
+
+    const records = await this.historyStore.query(tokenAddress, { from, to, type });
+    if (type === 'swap' || resolution === 'raw') {
+      return records;
+    }
+
+    const resolutionMs = CANDLE_INTERVALS[resolution];
+    const buckets = new Map();
+    for (const record of records) {
+      const time = Math.floor(record.t / resolutionMs) * resolutionMs;
+      const bucket = buckets.get(time);
+      if (!bucket) {
+        buckets.set(time, {
+          t: time,
+          open: record.priceUSD,
+          high: record.priceUSD,
+          low: record.priceUSD,
+          close: record.priceUSD,
+          priceBNB: record.priceBNB,
+          samples: 1
+        });
+      } else {
+        bucket.high = Math.max(bucket.high, record.priceUSD);
+        bucket.low = Math.min(bucket.low, record.priceUSD);
+        bucket.close = record.priceUSD;
+        bucket.priceBNB = record.priceBNB;
+        bucket.samples++;
+      }
+    }
+
+    return Array.from(buckets.values());
+  }
+
+  /**
+   * Add rolling stats and supply-derived fields to a price payload
+   */
+  enrichPrice(tokenAddress, priceData) {
+    const { bnbPriceSource, bnbPriceAge, degraded } = this.getBNBPriceInfo();
+    return {
+      ...priceData,
+      chainId: this.chainId,
+      bnbPriceSource,
+      bnbPriceAge,
+      degraded,
+      ...this.getSupplyFields(tokenAddress, priceData.priceUSD),
+      stats: this.getMarketStats(tokenAddress, priceData.priceUSD)
+    };
+  }
+
   // ==================== PUBLIC MBNBODS ====================
   
   getMonitoredTokens() {
@@ -1991,6 +4493,7 @@ class PriceMonitor {
     for (const [address, data] of this.monitoredTokens) {
       tokens.push({
         address,
+        chainId: this.chainId,
         ...data.config,
         lastPrice: data.lastPrice,
         lastUpdate: data.lastUpdate
@@ -1999,12 +4502,16 @@ class PriceMonitor {
     return tokens;
   }
   
+  isMonitored(tokenAddress) {
+    return this.monitoredTokens.has(tokenAddress.toLowerCase());
+  }
+
   getTokenPrice(tokenAddress) {
     // First check cache
     const cached = this.priceCache.get(tokenAddress);
     if (cached) {
       this.metrics.increment('cacheHits');
-      return cached;
+      return this.enrichPrice(tokenAddress, cached);
     }
     
     // Fallback to stored data
@@ -2014,15 +4521,22 @@ class PriceMonitor {
   }
   
   getCachedPrices() {
-    return this.priceCache.getAll();
+    return this.priceCache.getAll().map(price => this.enrichPrice(price.address, price));
   }
   
   getMetrics() {
-    return this.metrics.getStats();
+    return {
+      ...this.metrics.getStats(),
+      bnbExcludedSources: this.bnbExcludedSources || [],
+      multicall: this.multicall.getStats(),
+      eventTransport: this.eventTransport,
+      logPolling: this.logPoller.getStats()
+    };
   }
   
   async stop() {
-    console.log('Stopping price monitor...');
+    console.log(`Stopping ${this.chain.name} price monitor...`);
+    this.isStopped = true;
 
     // Stop mempool monitoring
     if (this.mempoolMonitor) {
@@ -2033,6 +4547,22 @@ class PriceMonitor {
     // Clear intervals
     if (this.bnbPriceInterval) clearInterval(this.bnbPriceInterval);
     if (this.agentPriceInterval) clearInterval(this.agentPriceInterval);
+    if (this.historyCompactInterval) clearInterval(this.historyCompactInterval);
+    if (this.supplyInterval) clearInterval(this.supplyInterval);
+    if (this.twapInterval) clearInterval(this.twapInterval);
+
+    // Flush buffered history before shutdown
+    if (this.historyStore) {
+      await this.historyStore.close();
+    }
+    await this.tokenMetadata.close();
+
+    // Close every RPC connection first - unsubscribe requests are then dropped
+    // instead of failing against a provider that is being destroyed
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.multicall.stop();
+    this.logPoller.stop();
+    this.providerPool.stop();
 
     // Remove all listeners properly
     for (const [key, data] of this.activeListeners) {
@@ -2041,14 +4571,18 @@ class PriceMonitor {
 
     this.activeListeners.clear();
     this.poolContracts.clear();
+    this.poolCursors.clear();
+    this.recentSwaps.clear();
+    for (const batch of this.blockBatches.values()) {
+      clearTimeout(batch.timer);
+    }
+    this.blockBatches.clear();
     this.monitoredTokens.clear();
     this.agentTokenPrices.clear();
     this.priceCache.clear();
+    this.candleAggregator.clear();
+    this.priceRouter.clear();
 
-    // Close WebSocket
-    if (this.provider?.websocket) {
-      this.provider.websocket.close();
-    }
 
     this.isConnected = false;
     console.log('✅ Price monitor stopped cleanly');
@@ -2089,6 +4623,7 @@ class PriceMonitor {
     if (result) {
       // Store swap listener info
       this.swapListeners.set(key, {
+        chainId: this.chainId,
         tokenAddress,
         poolAddress,
         protocol,
@@ -2172,18 +4707,14 @@ class PriceMonitor {
 
     console.log(`🛑 Removing token ${tokenAddress} from monitoring...`);
 
-    // Remove event listeners for this token's pools
+    // Remove every event listener of this token's pools (swap and liquidity events,
+    // log poller subscriptions included) - each listener has its own contract instance
     for (const [listenerKey, listenerData] of this.activeListeners) {
-      if (listenerKey.startsWith(`${key}:`)) {
-        // Remove event listener from contract
-        if (listenerData.contract && listenerData.listener) {
-          try {
-            listenerData.contract.off('Swap', listenerData.listener);
-            console.log(`   Removed listener: ${listenerKey}`);
-          } catch (e) {
-            // Ignore errors during cleanup
-          }
-        }
+      if (listenerData.tokenAddress === key) {
+        Promise.resolve()
+          .then(() => listenerData.contract?.removeAllListeners())
+          .catch(() => {}); // Ignore errors during cleanup
+        console.log(`   Removed listener: ${listenerKey}`);
         this.activeListeners.delete(listenerKey);
       }
     }
@@ -2202,6 +4733,7 @@ class PriceMonitor {
       for (const pool of tokenData.pools) {
         if (pool.address) {
           this.poolContracts.delete(pool.address);
+          this.poolCursors.delete(pool.address.toLowerCase());
         }
       }
     }
@@ -2209,6 +4741,21 @@ class PriceMonitor {
     // Remove from caches and state
     this.monitoredTokens.delete(key);
     this.priceCache.delete(key);
+    this.candleAggregator.removeToken(key);
+    this.priceRouter.removeToken(key);
+    for (const [swapKey, swap] of this.recentSwaps) {
+      if (swap.tokenAddress === key) this.recentSwaps.delete(swapKey);
+    }
+    for (const swapKey of this.processedSwapLogs) {
+      if (swapKey.startsWith(`${key}:`)) this.processedSwapLogs.delete(swapKey);
+    }
+    for (const [blockNumber, batch] of this.blockBatches) {
+      batch.tokens.delete(key);
+      if (batch.tokens.size === 0) {
+        clearTimeout(batch.timer);
+        this.blockBatches.delete(blockNumber);
+      }
+    }
     this.swapListeners.delete(key);
 
     console.log(`✅ Removed token ${tokenAddress} from monitoring`);
@@ -2237,8 +4784,8 @@ class PriceMonitor {
     const fee = protocol.includes('v3') || protocol === 'slipstream' ? 3000 : undefined;
     const pairSymbol = pairType.toUpperCase();
 
-    // Get pair address from config.addresses
-    const pairAddress = config.addresses[pairSymbol];
+    // Get pair address from the chain's base tokens
+    const pairAddress = this.chain.addresses[pairSymbol];
 
     return {
       address: tokenAddress,
@@ -2259,12 +4806,16 @@ class PriceMonitor {
    * Get pool type from protocol string
    */
   getPoolTypeFromProtocol(protocol) {
+    const adapter = this.adapters.findByProtocol(protocol);
+    if (adapter) {
+      return adapter.type;
+    }
+
     const protocolMap = {
       'uniswapv2': 'V2',
       'uniswapv3': 'V3',
-      'aerodromev2': 'AERODROME_V2',
-      'aerodromev3': 'AERODROME_V3',
-      'slipstream': 'AERODROME_V3'
+      'stableswap': 'STABLESWAP',
+      'pancakeinfinity': 'INFINITY_CL'
     };
 
     return protocolMap[protocol.toLowerCase()] || 'V2';
@@ -2301,6 +4852,7 @@ class PriceMonitor {
       // Build swap confirmation data
       const swapConfirmation = {
         event: 'swap.confirmed',
+        chainId: this.chainId,
         txHash: tx.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
@@ -2310,11 +4862,18 @@ class PriceMonitor {
         operation: swapInfo.isBuy ? 'buy' : 'sell',
         status: 'confirmed',
         protocol,
+        replayed: Boolean(event.replayed),
         timestamp: Date.now()
       };
 
       // Emit to Swap Microservice
-      await this.emitSwapConfirmation(swapConfirmation);
+      const sent = await this.emitSwapConfirmation(swapConfirmation);
+
+      // Kept with the tracked swap so a reorg can take the confirmation back
+      const tracked = event.log && this.recentSwaps.get(this.swapLogKey(tokenAddress, event.log));
+      if (sent && tracked?.blockHash === event.log.blockHash) {
+        tracked.confirmation = swapConfirmation;
+      }
 
     } catch (error) {
       console.error('Error handling swap confirmation:', error);
@@ -2341,6 +4900,19 @@ class PriceMonitor {
     // Emit to swap microservice
     return this.swapClient.emitSwapConfirmation(swapData);
   }
+
+  /**
+   * Tell the Swap Microservice that a confirmed swap was dropped by a chain reorg
+   */
+  async emitSwapReorged(swapData) {
+    if (!this.swapClient || !this.swapClient.isConnected()) {
+      console.log('⚠️ Swap Microservice not connected, skipping reorg emission');
+      return false;
+    }
+
+    return this.swapClient.emitSwapReorged(swapData);
+  }
 }
 
-module.exports = PriceMonitor;
\ No newline at end of file
+module.exports = PriceMonitor;
+module.exports.MetricsCollector = MetricsCollector;
\ No newline at end of file
@@ -0,0 +1,144 @@
+// src/services/PriceRouter.js
+// Quote-token graph built from monitored pools, used to route USD prices to a stablecoin or WBNB
+
+class PriceRouter {
+  constructor(maxHops = 3) {
+    this.maxHops = maxHops;
+    this.edges = new Map(); // poolAddress → { pool, token, pairToken, priceInPair, liquidityUSD, owner }
+    this.adjacency = new Map(); // tokenAddress → Set(poolAddress)
+    this.symbols = new Map(); // tokenAddress → symbol
+  }
+
+  /**
+   * Add or refresh the edge of one pool
+   * @param {String} poolAddress - Pool address
+   * @param {Object} edge - { token, pairToken, tokenSymbol, pairSymbol, priceInPair, liquidityUSD, owner }
+   *   owner is the monitored token the pool belongs to (removeToken drops its edges)
+   */
+  updatePool(poolAddress, edge) {
+    const key = poolAddress.toLowerCase();
+    const token = edge.token.toLowerCase();
+    const pairToken = edge.pairToken.toLowerCase();
+    const previous = this.edges.get(key);
+
+    this.edges.set(key, {
+      pool: key,
+      token,
+      pairToken,
+      priceInPair: edge.priceInPair,
+      // Keep the last known liquidity when the caller has none yet
+      liquidityUSD: edge.liquidityUSD ?? previous?.liquidityUSD ?? 0,
+      owner: (edge.owner || token).toLowerCase()
+    });
+
+    for (const address of [token, pairToken]) {
+      if (!this.adjacency.has(address)) {
+        this.adjacency.set(address, new Set());
+      }
+      this.adjacency.get(address).add(key);
+    }
+    if (edge.tokenSymbol) this.symbols.set(token, edge.tokenSymbol);
+    if (edge.pairSymbol) this.symbols.set(pairToken, edge.pairSymbol);
+  }
+
+  setLiquidity(poolAddress, liquidityUSD) {
+    const edge = this.edges.get(poolAddress.toLowerCase());
+    if (edge) {
+      edge.liquidityUSD = liquidityUSD;
+    }
+  }
+
+  removePool(poolAddress) {
+    const key = poolAddress.toLowerCase();
+    const edge = this.edges.get(key);
+    if (!edge) return;
+
+    for (const address of [edge.token, edge.pairToken]) {
+      const pools = this.adjacency.get(address);
+      pools?.delete(key);
+      if (pools && pools.size === 0) {
+        this.adjacency.delete(address);
+      }
+    }
+    this.edges.delete(key);
+  }
+
+  removeToken(tokenAddress) {
+    const owner = tokenAddress.toLowerCase();
+    for (const edge of Array.from(this.edges.values())) {
+      if (edge.owner === owner) {
+        this.removePool(edge.pool);
+      }
+    }
+  }
+
+  symbolOf(address) {
+    return this.symbols.get(address) || address.slice(0, 10);
+  }
+
+  /**
+   * Most liquid path from a token to an anchor (widest bottleneck, then fewest hops)
+   * @param {String} fromToken - Token to price
+   * @param {Map} anchors - anchor address → USD price
+   * @param {Object} options - { excludePool, avoidToken } pool and token the path must not use
+   * @returns {Object|null} { priceUSD, path (symbols), tokens, pools, liquidityUSD }
+   */
+  findRoute(fromToken, anchors, { excludePool = null, avoidToken = null } = {}) {
+    const start = fromToken.toLowerCase();
+    const excluded = excludePool?.toLowerCase();
+    const avoided = avoidToken?.toLowerCase();
+    let best = null;
+
+    // Depth-first over simple paths - the graph is small and maxHops is low
+    const visit = (token, rate, tokens, pools, bottleneck) => {
+      if (pools.length > 0 && anchors.has(token)) {
+        const better = !best
+          || bottleneck > best.liquidityUSD
+          || (bottleneck === best.liquidityUSD && pools.length < best.pools.length);
+        if (better) {
+          best = { rate, anchor: token, tokens, pools, liquidityUSD: bottleneck };
+        }
+        return;
+      }
+      if (pools.length >= this.maxHops) return;
+
+      for (const poolKey of this.adjacency.get(token) || []) {
+        if (poolKey === excluded || pools.includes(poolKey)) continue;
+
+        const edge = this.edges.get(poolKey);
+        if (!(edge.priceInPair > 0)) continue;
+
+        const forward = edge.token === token;
+        const next = forward ? edge.pairToken : edge.token;
+        if (next === avoided || tokens.includes(next)) continue;
+
+        visit(
+          next,
+          rate * (forward ? edge.priceInPair : 1 / edge.priceInPair),
+          [...tokens, next],
+          [...pools, poolKey],
+          Math.min(bottleneck, edge.liquidityUSD)
+        );
+      }
+    };
+
+    visit(start, 1, [start], [], Infinity);
+    if (!best) return null;
+
+    return {
+      priceUSD: best.rate * anchors.get(best.anchor),
+      path: best.tokens.map(address => this.symbolOf(address)),
+      tokens: best.tokens,
+      pools: best.pools,
+      liquidityUSD: best.liquidityUSD
+    };
+  }
+
+  clear() {
+    this.edges.clear();
+    this.adjacency.clear();
+    this.symbols.clear();
+  }
+}
+
+module.exports = PriceRouter;
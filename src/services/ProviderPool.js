@@ -0,0 +1,359 @@
+// src/services/ProviderPool.js
+// WSS/HTTP RPC endpoints of one chain, health-scored by latency, error rate and head-block lag
+
+const { ethers } = require('ethers');
+const config = require('../config/tokens.config');
+
+const ERROR_WINDOW = 20; // Health checks kept per endpoint for the error rate
+
+/**
+ * Reject when a request takes longer than `ms` (WebSocket requests to an
+ * unreachable endpoint otherwise never settle)
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class ProviderPool {
+  /**
+   * @param {Object} chain - Chain registry entry (wssUrlEnv / rpcUrlEnv hold comma-separated URLs)
+   * @param {Object} handlers - { onSwitch(provider, endpoint), onDown(error), preferTransport }
+   *   onSwitch runs after the active endpoint changed, onDown when no endpoint is healthy;
+   *   healthy endpoints of preferTransport ('wss' or 'http') win over better-scoring others
+   */
+  constructor(chain, { onSwitch = async () => {}, onDown = () => {}, preferTransport = null } = {}) {
+    this.chain = chain;
+    this.onSwitch = onSwitch;
+    this.onDown = onDown;
+    this.preferTransport = preferTransport;
+    this.endpoints = ProviderPool.readEndpoints(chain).map((endpoint, id) => ({
+      id,
+      ...endpoint,
+      provider: null,
+      latencyMs: null,
+      blockNumber: null,
+      lag: 0,
+      lastOk: false,
+      results: [], // true/false per health check, newest last
+      lastError: null,
+      lastCheckAt: null,
+      wrongChain: false
+    }));
+    this.active = null;
+    this.switching = null;
+    this.checkInterval = null;
+  }
+
+  /**
+   * Endpoints from the chain's env variables, WebSocket first
+   * (placeholder values containing YOUR_ are skipped)
+   */
+  static readEndpoints(chain) {
+    const read = (envName) => (process.env[envName] || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(url => url && !url.includes('YOUR_'))
+      .map(url => ({
+        url,
+        envName,
+        transport: /^wss?:/i.test(url) ? 'wss' : 'http',
+        label: ProviderPool.redact(url)
+      }));
+
+    return [...read(chain.wssUrlEnv), ...(chain.rpcUrlEnv ? read(chain.rpcUrlEnv) : [])];
+  }
+
+  /**
+   * Scheme and host only - provider URLs usually carry the API key in the path
+   */
+  static redact(url) {
+    try {
+      const { protocol, host } = new URL(url);
+      return `${protocol}//${host}`;
+    } catch (error) {
+      return 'invalid-url';
+    }
+  }
+
+  // ==================== CONNECTION ====================
+
+  /**
+   * Check every endpoint and activate the best one
+   * @returns {Object} ethers provider of the active endpoint
+   */
+  async connect() {
+    if (this.endpoints.length === 0) {
+      throw new Error(`Please configure ${this.chain.wssUrlEnv} or ${this.chain.rpcUrlEnv} in .env file with your Alchemy key`);
+    }
+
+    await this.checkAll();
+    const best = this.pickBest();
+    if (!best) {
+      const wrongChain = this.endpoints.find(e => e.wrongChain);
+      throw new Error(wrongChain
+        ? wrongChain.lastError
+        : `No healthy RPC endpoint for ${this.chain.name}: ${this.endpoints.map(e => `${e.label} (${e.lastError})`).join(', ')}`);
+    }
+
+    this.active = best;
+    console.log(`🔌 ${this.chain.name} RPC: ${best.label} (${best.transport}, ${best.latencyMs}ms) of ${this.endpoints.length} endpoint(s)`);
+
+    if (!this.checkInterval) {
+      this.checkInterval = setInterval(() => {
+        this.checkAndFailover().catch(err => console.error('Provider health check error:', err.message));
+      }, config.settings.providerHealthCheckInterval);
+    }
+
+    return best.provider;
+  }
+
+  getProvider() {
+    return this.active?.provider || null;
+  }
+
+  createProvider(endpoint) {
+    const network = ethers.Network.from(this.chain.chainId);
+    let provider;
+
+    if (endpoint.transport === 'wss') {
+      provider = new ethers.WebSocketProvider(endpoint.url, network, { staticNetwork: network });
+      provider.websocket.on('error', (error) => {
+        this.recordFailure(endpoint, provider, error);
+      });
+      provider.websocket.on('close', () => {
+        this.recordFailure(endpoint, provider, new Error('WebSocket closed'));
+      });
+    } else {
+      // HTTP endpoints deliver contract events by polling eth_getLogs
+      provider = new ethers.JsonRpcProvider(endpoint.url, network, { staticNetwork: network });
+      provider.pollingInterval = config.settings.providerPollingInterval;
+    }
+
+    return provider;
+  }
+
+  dropProvider(endpoint) {
+    const { provider } = endpoint;
+    endpoint.provider = null;
+    if (provider) {
+      Promise.resolve()
+        .then(() => provider.destroy())
+        .catch(() => {});
+    }
+  }
+
+  // ==================== HEALTH ====================
+
+  /**
+   * Chain id, head block and latency of every endpoint; lag is measured
+   * against the highest head seen in this round
+   */
+  async checkAll() {
+    await Promise.all(this.endpoints.map(endpoint => this.check(endpoint)));
+
+    const head = Math.max(0, ...this.endpoints.filter(e => e.lastOk).map(e => e.blockNumber));
+    for (const endpoint of this.endpoints) {
+      endpoint.lag = endpoint.lastOk ? head - endpoint.blockNumber : 0;
+    }
+  }
+
+  async check(endpoint) {
+    if (endpoint.wrongChain) return;
+
+    const started = Date.now();
+    try {
+      if (!endpoint.provider) {
+        endpoint.provider = this.createProvider(endpoint);
+      }
+
+      const [chainId, blockNumber] = await withTimeout(Promise.all([
+        endpoint.provider.send('eth_chainId', []),
+        endpoint.provider.send('eth_blockNumber', [])
+      ]), config.settings.providerRequestTimeout);
+
+      if (Number(chainId) !== this.chain.chainId) {
+        endpoint.wrongChain = true;
+        throw new Error(`${endpoint.envName} points to chain ${Number(chainId)}, expected ${this.chain.chainId} (${this.chain.name})`);
+      }
+
+      endpoint.latencyMs = Date.now() - started;
+      endpoint.blockNumber = Number(blockNumber);
+      this.record(endpoint, true);
+    } catch (error) {
+      this.record(endpoint, false, error);
+      // A fresh connection is opened on the next check (an active endpoint goes through failover)
+      this.dropProvider(endpoint);
+    }
+  }
+
+  record(endpoint, ok, error = null) {
+    endpoint.results.push(ok);
+    if (endpoint.results.length > ERROR_WINDOW) {
+      endpoint.results.shift();
+    }
+    endpoint.lastOk = ok;
+    endpoint.lastCheckAt = Date.now();
+    if (error) {
+      endpoint.lastError = error.message;
+    }
+  }
+
+  /**
+   * Connection error reported by the provider itself (WebSocket error/close)
+   */
+  recordFailure(endpoint, provider, error) {
+    // Ignore late events from a provider that was already replaced
+    if (endpoint.provider !== provider) return;
+
+    this.record(endpoint, false, error);
+    this.dropProvider(endpoint);
+
+    if (endpoint === this.active) {
+      console.error(`❌ ${this.chain.name} RPC ${endpoint.label} failed: ${error.message}`);
+      this.failover().catch(err => console.error('Provider failover error:', err.message));
+    }
+  }
+
+  errorRate(endpoint) {
+    if (endpoint.results.length === 0) return 0;
+    return endpoint.results.filter(ok => !ok).length / endpoint.results.length;
+  }
+
+  isHealthy(endpoint) {
+    return !endpoint.wrongChain
+      && Boolean(endpoint.provider)
+      && endpoint.lastOk
+      && endpoint.lag <= config.settings.providerMaxBlockLag
+      && this.errorRate(endpoint) <= config.settings.providerMaxErrorRate;
+  }
+
+  /**
+   * Lower is better, in milliseconds: latency plus 1s per block behind the
+   * best head plus up to 5s for the recent error rate
+   */
+  score(endpoint) {
+    return (endpoint.latencyMs ?? config.settings.providerRequestTimeout)
+      + endpoint.lag * 1000
+      + this.errorRate(endpoint) * 5000;
+  }
+
+  /**
+   * 0 for endpoints of the preferred transport, 1 for the others
+   */
+  preference(endpoint) {
+    return this.preferTransport && endpoint.transport !== this.preferTransport ? 1 : 0;
+  }
+
+  pickBest(exclude = null) {
+    return this.endpoints
+      .filter(e => e !== exclude && this.isHealthy(e))
+      .sort((a, b) => this.preference(a) - this.preference(b) || this.score(a) - this.score(b))[0] || null;
+  }
+
+  // ==================== FAILOVER ====================
+
+  /**
+   * Periodic check: leave an unhealthy active endpoint, one of the other transport
+   * once a preferred one is healthy again, or one scoring more than twice the best
+   * (a small margin would flap between similar endpoints)
+   */
+  async checkAndFailover() {
+    if (this.switching) return;
+
+    await this.checkAll();
+    if (!this.active) return;
+
+    if (!this.isHealthy(this.active)) {
+      console.warn(`⚠️  ${this.chain.name} RPC ${this.active.label} unhealthy (lag ${this.active.lag}, errors ${(this.errorRate(this.active) * 100).toFixed(0)}%)`);
+      await this.failover();
+      return;
+    }
+
+    const best = this.pickBest();
+    if (!best || best === this.active) return;
+
+    if (this.preference(best) < this.preference(this.active)) {
+      console.log(`🔀 ${this.chain.name} ${best.transport} RPC ${best.label} is available again`);
+      await this.switchTo(best);
+    } else if (this.score(best) * 2 < this.score(this.active)) {
+      console.log(`🔀 ${this.chain.name} RPC ${best.label} scores better than ${this.active.label}`);
+      await this.switchTo(best);
+    }
+  }
+
+  /**
+   * Move to the best healthy endpoint other than the active one; the active one
+   * is kept (on a fresh connection) if it is the only endpoint that answers
+   * @returns {Object|null} New provider, or null when every endpoint is down (onDown is called)
+   */
+  async failover() {
+    if (this.switching) return this.switching;
+
+    this.switching = (async () => {
+      const failed = this.active;
+      await this.checkAll();
+
+      const next = this.pickBest(failed) || (failed?.provider && failed.lastOk ? failed : null);
+      if (!next) {
+        const error = new Error(`No healthy RPC endpoint for ${this.chain.name}`);
+        this.onDown(error);
+        return null;
+      }
+      return this.switchTo(next, { force: next === failed });
+    })();
+
+    try {
+      return await this.switching;
+    } finally {
+      this.switching = null;
+    }
+  }
+
+  async switchTo(endpoint, { force = false } = {}) {
+    const previous = this.active;
+    if (endpoint === previous && !force) return endpoint.provider;
+
+    this.active = endpoint;
+    console.log(`🔀 ${this.chain.name} RPC switched${previous && previous !== endpoint ? ` from ${previous.label}` : ''} to ${endpoint.label} (${endpoint.transport})`);
+    await this.onSwitch(endpoint.provider, endpoint);
+    return endpoint.provider;
+  }
+
+  // ==================== STATUS ====================
+
+  /**
+   * Endpoint health for /health (URLs reduced to scheme and host)
+   */
+  getStatus() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.label,
+      transport: endpoint.transport,
+      active: endpoint === this.active,
+      healthy: this.isHealthy(endpoint),
+      latencyMs: endpoint.latencyMs,
+      blockNumber: endpoint.blockNumber,
+      lag: endpoint.lag,
+      errorRate: Number(this.errorRate(endpoint).toFixed(2)),
+      score: Math.round(this.score(endpoint)),
+      lastError: endpoint.lastError,
+      lastCheckAt: endpoint.lastCheckAt
+    }));
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    for (const endpoint of this.endpoints) {
+      this.dropProvider(endpoint);
+    }
+    this.active = null;
+  }
+}
+
+module.exports = ProviderPool;
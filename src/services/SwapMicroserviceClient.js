@@ -110,6 +110,39 @@ class SwapMicroserviceClient {
     }
   }
 
+  /**
+   * Emit a reorg notice for a previously confirmed swap
+   * @param {Object} eventData - swap.confirmed data with status 'reorged', blockHash and reason
+   * @returns {boolean} Success status
+   */
+  emitSwapReorged(eventData) {
+    if (!this.socket || !this.connected) {
+      console.error('❌ WebSocket not connected, cannot emit swap reorg');
+      console.error('   Event data:', {
+        txHash: eventData.txHash,
+        operation: eventData.operation
+      });
+      return false;
+    }
+
+    try {
+      this.socket.emit('swap:reorged', eventData);
+
+      console.log('↩️ Emitted swap reorg to Swap Microservice:', {
+        txHash: eventData.txHash,
+        operation: eventData.operation,
+        blockNumber: eventData.blockNumber,
+        reason: eventData.reason
+      });
+
+      return true;
+
+    } catch (error) {
+      console.error('❌ Failed to emit swap reorg:', error);
+      return false;
+    }
+  }
+
   /**
    * Check if connected to Swap Microservice
    */
@@ -0,0 +1,62 @@
+// src/services/TokenMetadataStore.js
+// Persistent cache of on-chain token metadata (name, symbol, decimals, totalSupply)
+
+const fs = require('fs');
+const path = require('path');
+
+class TokenMetadataStore {
+  /**
+   * @param {String|null} filePath - JSON file, or null to keep the cache in memory only
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.entries = new Map(); // tokenAddress → { name, symbol, decimals, totalSupply, updatedAt }
+    this.queue = Promise.resolve(); // Serializes file writes
+  }
+
+  async init() {
+    if (!this.filePath) return;
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      for (const [address, metadata] of Object.entries(data)) {
+        this.entries.set(address.toLowerCase(), metadata);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Ignoring unreadable token metadata cache ${this.filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  get(tokenAddress) {
+    return this.entries.get(tokenAddress.toLowerCase()) || null;
+  }
+
+  set(tokenAddress, metadata) {
+    this.entries.set(tokenAddress.toLowerCase(), metadata);
+    this.save().catch(err => console.error('Token metadata save error:', err.message));
+  }
+
+  /**
+   * Write the whole cache (write then rename so a crash never leaves a truncated file)
+   */
+  save() {
+    if (!this.filePath) return Promise.resolve();
+
+    const run = this.queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+      await fs.promises.rename(tmp, this.filePath);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async close() {
+    await this.queue;
+  }
+}
+
+module.exports = TokenMetadataStore;
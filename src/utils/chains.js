@@ -0,0 +1,82 @@
+// src/utils/chains.js
+// Chain registry lookups and `chainId:address` token keys
+
+const { ethers } = require('ethers');
+const { defaultChainId, chains } = require('../config/chains.config');
+
+/**
+ * Chain registry entry by chain id (number or string) or key ('bsc', 'base')
+ * @param {Number|String} chainRef - Chain id or key (defaults to defaultChainId)
+ * @returns {Object|null} Chain entry with `chainId`
+ */
+const getChain = (chainRef = defaultChainId) => {
+  const ref = String(chainRef).toLowerCase();
+  const entry = Object.entries(chains).find(([chainId, chain]) => chainId === ref || chain.key === ref);
+  return entry ? { chainId: Number(entry[0]), ...entry[1] } : null;
+};
+
+/**
+ * All registry entries, default chain first
+ */
+const listChains = () => Object.keys(chains)
+  .map(chainId => getChain(chainId))
+  .sort((a, b) => (b.chainId === defaultChainId) - (a.chainId === defaultChainId));
+
+/**
+ * Split a token or pool key into chain and address
+ * Accepts `0x...` (default chain), `56:0x...` or `base:0x...`;
+ * an explicit `chainId` is used for bare addresses
+ * @param {String} value - Key
+ * @param {Number|String} chainId - Chain for bare addresses
+ * @returns {Object} { chainId, address } (address lowercase, not validated)
+ */
+const parseChainKey = (value, chainId = undefined) => {
+  const raw = String(value).trim();
+  const separator = raw.lastIndexOf(':');
+  const chainRef = separator === -1 ? (chainId ?? defaultChainId) : raw.slice(0, separator);
+  const chain = getChain(chainRef);
+
+  if (!chain) {
+    throw new Error(`Unknown chain: ${chainRef}. Supported: ${listChains().map(c => `${c.chainId} (${c.key})`).join(', ')}`);
+  }
+
+  return { chainId: chain.chainId, address: raw.slice(separator + 1).toLowerCase() };
+};
+
+/**
+ * `chainId:address` key used for rooms and multi-chain lists
+ */
+const toChainKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+/**
+ * True for a token key on a known chain (see parseChainKey)
+ */
+const isTokenKey = (value) => {
+  try {
+    return ethers.isAddress(parseChainKey(value).address);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * True for a pool key: address, or a bytes32 Infinity pool id
+ */
+const isPoolKey = (value) => {
+  try {
+    const { address } = parseChainKey(value);
+    return ethers.isAddress(address) || ethers.isHexString(address, 32);
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  defaultChainId,
+  getChain,
+  listChains,
+  parseChainKey,
+  toChainKey,
+  isTokenKey,
+  isPoolKey
+};
@@ -34,7 +34,8 @@ module.exports = {
     V2_FACTORY: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
     V2_ROUTER: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
     V3_FACTORY: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
-    V3_QUOTER: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997'
+    V3_QUOTER: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997',
+    INFINITY_CL_POOL_MANAGER: '0xa0FfB9c1CE1Fe56963B0321B32E7A0302114058b'
   },
 
   // Defaults
@@ -63,9 +64,33 @@ module.exports = {
   // Known Base Pairs
   KNOWN_PAIRS: ['WBNB', 'USDT', 'USDC', 'BUSD'],
 
+  // Quote tokens priced at $1
+  STABLECOINS: ['USDT', 'USDC', 'BUSD', 'DAI', 'USDbC'],
+
   // V3 Fee Tiers (PancakeSwap V3)
   V3_FEE_TIERS: [100, 500, 2500, 10000],
 
+  // Candle Intervals (interval → bucket size in ms)
+  CANDLE_INTERVALS: {
+    '1s': 1000,
+    '1m': 60000,
+    '5m': 300000,
+    '15m': 900000,
+    '1h': 3600000,
+    '4h': 14400000,
+    '1d': 86400000
+  },
+
+  // Rolling stats windows (window → length and candle interval it is read from)
+  STATS_WINDOWS: {
+    '5m': { ms: 300000, interval: '1s' },
+    '1h': { ms: 3600000, interval: '1m' },
+    '24h': { ms: 86400000, interval: '5m' }
+  },
+
+  // Outlier filters for multi-pool and BNB pricing
+  OUTLIER_STRATEGIES: ['mad', 'median', 'quorum', 'stddev', 'none'],
+
   // Service Info
   SERVICE: {
     NAME: 'BscPulse',
@@ -86,6 +111,7 @@ module.exports = {
     SUBSCRIBED: 'subscribed',
     UNSUBSCRIBED: 'unsubscribed',
     PRICE_UPDATE: 'price-update',
+    CANDLE_UPDATE: 'candle-update',
     ALL_PRICES: 'all-prices',
     HEARTBEAT: 'heartbeat',
     PONG: 'pong',
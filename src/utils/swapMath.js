@@ -0,0 +1,212 @@
+// src/utils/swapMath.js
+// AMM swap simulation for quotes (constant product, Solidly stable curve and concentrated liquidity)
+
+const Q96 = 2 ** 96;
+
+/**
+ * sqrt(price) for a V3 tick, in raw token1/token0 units
+ * @param {Number} tick - Tick index
+ * @returns {Number} sqrt(1.0001^tick)
+ */
+const tickToSqrtPrice = (tick) => Math.pow(1.0001, tick / 2);
+
+/**
+ * Index of the next initialized tick in the swap direction (-1 or ticks.length when none)
+ * @param {Array} ticks - [{ tick, liquidityNet }] sorted by tick
+ * @param {Number} sqrtPrice - Current sqrt(price), raw units
+ * @param {Boolean} zeroForOne - true when the price moves down
+ * @returns {Number} Index into ticks
+ */
+const findNextTickIndex = (ticks, sqrtPrice, zeroForOne) => {
+  const currentTick = Math.floor(Math.log(sqrtPrice * sqrtPrice) / Math.log(1.0001));
+  return zeroForOne
+    ? ticks.findLastIndex(t => t.tick <= currentTick)
+    : ticks.findIndex(t => t.tick > currentTick);
+};
+
+/**
+ * V2 constant product output amount (exact, same rounding as the pair contract)
+ * @param {BigInt} amountIn - Raw input amount
+ * @param {BigInt} reserveIn - Raw reserve of the input token
+ * @param {BigInt} reserveOut - Raw reserve of the output token
+ * @param {Number} feeBps - Swap fee in basis points (25 = 0.25%)
+ * @returns {BigInt} Raw output amount
+ */
+const getV2AmountOut = (amountIn, reserveIn, reserveOut, feeBps) => {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n;
+
+  const amountInWithFee = amountIn * BigInt(10000 - feeBps);
+  return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+};
+
+const E18 = 10n ** 18n;
+
+// Solidly stable curve x³y + y³x on amounts normalized to 18 decimals
+const stableK = (x, y) => (((x * y) / E18) * ((x * x) / E18 + (y * y) / E18)) / E18;
+const stableDerivative = (x, y) => (3n * x * ((y * y) / E18)) / E18 + ((((x * x) / E18) * x) / E18);
+
+/**
+ * y keeping stableK(x0, y) at k, by Newton's method from the current y (as the pool's _get_y)
+ */
+const getStableY = (x0, k, y) => {
+  for (let i = 0; i < 255; i++) {
+    const current = stableK(x0, y);
+    if (current < k) {
+      let dy = ((k - current) * E18) / stableDerivative(x0, y);
+      if (dy === 0n) {
+        if (stableK(x0, y + 1n) > k) return y + 1n;
+        dy = 1n;
+      }
+      y += dy;
+    } else {
+      let dy = ((current - k) * E18) / stableDerivative(x0, y);
+      if (dy === 0n) {
+        if (current === k || stableK(x0, y - 1n) < k) return y;
+        dy = 1n;
+      }
+      y -= dy;
+    }
+  }
+  throw new Error('Stable curve did not converge');
+};
+
+/**
+ * Solidly/Aerodrome stable pair output amount (same integer math as the pool contract)
+ * @param {BigInt} amountIn - Raw input amount
+ * @param {BigInt} reserveIn - Raw reserve of the input token
+ * @param {BigInt} reserveOut - Raw reserve of the output token
+ * @param {Number} decimalsIn - Input token decimals
+ * @param {Number} decimalsOut - Output token decimals
+ * @param {Number} feeBps - Swap fee in basis points (5 = 0.05%)
+ * @returns {BigInt} Raw output amount
+ */
+const getStableAmountOut = (amountIn, reserveIn, reserveOut, decimalsIn, decimalsOut, feeBps) => {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n;
+
+  const unitIn = 10n ** BigInt(decimalsIn);
+  const unitOut = 10n ** BigInt(decimalsOut);
+  const amountInAfterFee = amountIn - (amountIn * BigInt(feeBps)) / 10000n;
+
+  const x = (reserveIn * E18) / unitIn;
+  const y = (reserveOut * E18) / unitOut;
+  const k = stableK(x, y);
+  const dx = (amountInAfterFee * E18) / unitIn;
+
+  const dy = y - getStableY(x + dx, k, y);
+  return (dy * unitOut) / E18;
+};
+
+/**
+ * Simulate a V3 swap, crossing initialized ticks when they are known
+ * Without `ticks` the active liquidity is assumed constant (no crossings).
+ * @param {Object} state - { sqrtPriceX96, liquidity, fee, ticks: [{ tick, liquidityNet }] sorted by tick }
+ * @param {Boolean} zeroForOne - true when token0 is the input
+ * @param {Number} amountIn - Raw input amount
+ * @returns {Object} { amountOut, sqrtPriceX96After, ticksCrossed, exhausted }
+ */
+const simulateV3Swap = (state, zeroForOne, amountIn) => {
+  const ticks = state.ticks || [];
+  let sqrtPrice = Number(state.sqrtPriceX96) / Q96;
+  let liquidity = Number(state.liquidity);
+  let remaining = amountIn * (1 - (state.fee || 0) / 1e6);
+  let amountOut = 0;
+  let ticksCrossed = 0;
+
+  let index = findNextTickIndex(ticks, sqrtPrice, zeroForOne);
+
+  while (remaining > 0) {
+    const next = index >= 0 && index < ticks.length ? ticks[index] : null;
+    const targetSqrtPrice = next ? tickToSqrtPrice(next.tick) : (zeroForOne ? 0 : Infinity);
+
+    if (liquidity > 0) {
+      if (zeroForOne) {
+        // token0 in: 1/sqrtP grows by dx / L
+        const maxIn = targetSqrtPrice > 0 ? liquidity * (1 / targetSqrtPrice - 1 / sqrtPrice) : Infinity;
+        if (remaining < maxIn) {
+          const newSqrtPrice = 1 / (1 / sqrtPrice + remaining / liquidity);
+          amountOut += liquidity * (sqrtPrice - newSqrtPrice);
+          sqrtPrice = newSqrtPrice;
+          remaining = 0;
+          break;
+        }
+        amountOut += liquidity * (sqrtPrice - targetSqrtPrice);
+        remaining -= maxIn;
+      } else {
+        // token1 in: sqrtP grows by dy / L
+        const maxIn = liquidity * (targetSqrtPrice - sqrtPrice);
+        if (remaining < maxIn) {
+          const newSqrtPrice = sqrtPrice + remaining / liquidity;
+          amountOut += liquidity * (1 / sqrtPrice - 1 / newSqrtPrice);
+          sqrtPrice = newSqrtPrice;
+          remaining = 0;
+          break;
+        }
+        amountOut += liquidity * (1 / sqrtPrice - 1 / targetSqrtPrice);
+        remaining -= maxIn;
+      }
+    }
+
+    // Out of known ticks with input left: the pool cannot fill the order
+    if (!next) break;
+
+    sqrtPrice = targetSqrtPrice;
+    liquidity += zeroForOne ? -Number(next.liquidityNet) : Number(next.liquidityNet);
+    ticksCrossed++;
+    index += zeroForOne ? -1 : 1;
+  }
+
+  return {
+    amountOut,
+    sqrtPriceX96After: sqrtPrice * Q96,
+    ticksCrossed,
+    exhausted: remaining > 0
+  };
+};
+
+/**
+ * Token amounts needed to move a concentrated liquidity pool to a target price
+ * A V2 pool is the same curve with liquidity = sqrt(reserve0 * reserve1) and no ticks.
+ * @param {Object} state - { sqrtPriceX96, liquidity, ticks: [{ tick, liquidityNet }] sorted by tick }
+ * @param {Number} targetSqrtPrice - Target sqrt(price), raw token1/token0 units
+ * @returns {Object} { amount0, amount1, ticksCrossed } raw amounts, fees excluded
+ *   (price down: amount0 in / amount1 out, price up: amount1 in / amount0 out)
+ */
+const getV3AmountsToPrice = (state, targetSqrtPrice) => {
+  const ticks = state.ticks || [];
+  let sqrtPrice = Number(state.sqrtPriceX96) / Q96;
+  let liquidity = Number(state.liquidity);
+  const zeroForOne = targetSqrtPrice < sqrtPrice;
+  let index = findNextTickIndex(ticks, sqrtPrice, zeroForOne);
+  let amount0 = 0;
+  let amount1 = 0;
+  let ticksCrossed = 0;
+
+  while (sqrtPrice !== targetSqrtPrice) {
+    const next = index >= 0 && index < ticks.length ? ticks[index] : null;
+    const nextSqrtPrice = next ? tickToSqrtPrice(next.tick) : null;
+    const crossing = next !== null && (zeroForOne ? nextSqrtPrice > targetSqrtPrice : nextSqrtPrice < targetSqrtPrice);
+    const stepSqrtPrice = crossing ? nextSqrtPrice : targetSqrtPrice;
+
+    if (liquidity > 0) {
+      amount0 += liquidity * Math.abs(1 / stepSqrtPrice - 1 / sqrtPrice);
+      amount1 += liquidity * Math.abs(stepSqrtPrice - sqrtPrice);
+    }
+    sqrtPrice = stepSqrtPrice;
+
+    if (!crossing) break;
+
+    liquidity += zeroForOne ? -Number(next.liquidityNet) : Number(next.liquidityNet);
+    ticksCrossed++;
+    index += zeroForOne ? -1 : 1;
+  }
+
+  return { amount0, amount1, ticksCrossed };
+};
+
+module.exports = {
+  tickToSqrtPrice,
+  getV2AmountOut,
+  getStableAmountOut,
+  simulateV3Swap,
+  getV3AmountsToPrice
+};